@@ -21,7 +21,7 @@
 // // if using webhook: ensure your main Express app has a route that forwards updates:
 // // app.post(`/bot${process.env.BOT_TOKEN_TELEGRAM}`, (req,res) => tbot.processUpdate(req.body) && res.sendStatus(200))
 
-export default async function initializeTelegramBot(manager) {
+export default async function initializeTelegramBot(manager, { qrPairing = null } = {}) {
   // === CONFIG ===
   const ALLOWED_GROUP_ID = -1003291824306; // allowed group id
   const GROUP_INVITE_LINK = "https://t.me/+VuJqL8M-t4k4ZjY1";
@@ -475,8 +475,8 @@ export default async function initializeTelegramBot(manager) {
         }
         const allConnections = manager.getAllConnections();
         const sessions = {};
-        (allConnections || []).forEach(({ file_path, connection, healthy }) => {
-          sessions[file_path] = { connected: Boolean(healthy), user: connection?.user?.name || "Unknown", jid: connection?.user?.id || "N/A" };
+        (allConnections || []).forEach(({ file_path, connection, healthy, status }) => {
+          sessions[file_path] = { connected: Boolean(healthy), quarantined: status === "quarantined", user: connection?.user?.name || "Unknown", jid: connection?.user?.id || "N/A" };
         });
         const total = Object.keys(sessions).length;
         if (total === 0) {
@@ -485,12 +485,35 @@ export default async function initializeTelegramBot(manager) {
         let message = `🧩 <b>${F("Active Sessions Overview")}</b>\n━━━━━━━━━━━━━━\n📊 <b>${F("Total Sessions:")}</b> <code>${total}</code>\n\n`;
         let index = 1;
         for (const [file, data] of Object.entries(sessions)) {
-          message += `🌿 <b>${F("Session")} ${index}</b>\n📁 <b>${F("File:")}</b> <code>${escapeHtml(file)}</code>\n👤 <b>${F("User:")}</b> ${escapeHtml(data.user)}\n🆔 <b>${F("JID:")}</b> <code>${escapeHtml(data.jid)}</code>\n💚 <b>${F("Status:")}</b> ${data.connected ? "🟢 Connected" : "🔴 Disconnected"}\n━━━━━━━━━━━━━━\n`;
+          message += `🌿 <b>${F("Session")} ${index}</b>\n📁 <b>${F("File:")}</b> <code>${escapeHtml(file)}</code>\n👤 <b>${F("User:")}</b> ${escapeHtml(data.user)}\n🆔 <b>${F("JID:")}</b> <code>${escapeHtml(data.jid)}</code>\n💚 <b>${F("Status:")}</b> ${data.connected ? "🟢 Connected" : data.quarantined ? "🟠 Quarantined" : "🔴 Disconnected"}\n━━━━━━━━━━━━━━\n`;
           index++;
         }
         return tbot.sendMessage(msg.chat.id, message, { parse_mode: "HTML", reply_to_message_id: msg.message_id, disable_web_page_preview: true });
       }
 
+      if (cmd === "resume") {
+        if (!isAllowedGroup(msg)) return;
+        const isAdmin = isAnonymousAdmin(msg) || (await isGroupAdminOrOwner(msg));
+        if (!isAdmin) {
+          return tbot.sendMessage(msg.chat.id, `🚫 <b>${F("Permission Denied")}</b>\n\n${F("Only group admins or the owner can use this command.")}`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+        const sid = args.split(/\s+/)[0] || "";
+        if (!sid) {
+          return tbot.sendMessage(msg.chat.id, `🛑 <b>${F("Invalid usage")}</b>\n\n<b>${F("Example:")}</b>\n<code>/resume 91700393888</code>`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+        const status = manager?.sessions?.get(sid)?.status;
+        if (status !== "quarantined") {
+          const why = status ? `${F("Session is")} <code>${escapeHtml(status)}</code>, ${F("not quarantined.")}` : F("Session not found.");
+          return tbot.sendMessage(msg.chat.id, `ℹ️ ${why}`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+        try {
+          await manager.resume(sid);
+          return tbot.sendMessage(msg.chat.id, `🌱 <b>${F("Resuming session")}</b> <code>${escapeHtml(sid)}</code>`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        } catch (error) {
+          return tbot.sendMessage(msg.chat.id, `💔 <b>${F(`Resume failed ${error.message || error}`)}</b>`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+      }
+
       if (cmd === "start") {
         if (isPrivate(msg)) return sendInviteToPrivate(msg.chat.id, msg.message_id);
         if (!isAllowedGroup(msg)) return;
@@ -549,6 +572,49 @@ export default async function initializeTelegramBot(manager) {
         return;
       }
 
+      if (cmd === "qr") {
+        if (isPrivate(msg)) return sendInviteToPrivate(msg.chat.id, msg.message_id);
+        if (!isAllowedGroup(msg)) return;
+        const chatId = msg.chat.id;
+        const digitsOnly = (args || "").replace(/[^\d]/g, "");
+        if (!digitsOnly) {
+          return tbot.sendMessage(chatId, `🛑 <b>${F("Invalid usage")}</b>\n\n🍂 ${F("Please provide your phone number with the country code.")}\n\n<b>${F("Example:")}</b>\n<code>/qr +91700393888</code>`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+        if (!qrPairing) {
+          return tbot.sendMessage(chatId, `❌ <b>${F("QR pairing is not available right now.")}</b>`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+        const { renderQr } = await import("./lib/qrPairing.js");
+        const caption = `📷 <b>${F("Scan this QR")}</b>\n\n🔐 <i>${F("Settings → Linked Devices → Link a Device")}</i>\n\n⏳ ${F("The code refreshes automatically, use the latest one.")}`;
+        let photoMsg = null;
+        const sendQr = async (qr) => {
+          const png = await renderQr(qr, "png");
+          const sent = await tbot.sendPhoto(chatId, png, { caption, parse_mode: "HTML", reply_to_message_id: msg.message_id }, { filename: "qr.png", contentType: "image/png" });
+          if (photoMsg) { try { await tbot.deleteMessage(chatId, String(photoMsg.message_id)); } catch (e) {} }
+          photoMsg = sent;
+        };
+        try {
+          const out = await qrPairing.request(digitsOnly);
+          if (out.status === "paired") {
+            return tbot.sendMessage(chatId, `ℹ️ <b>${F("This number is already linked.")}</b>`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+          }
+          await sendQr(out.qr);
+          const off = qrPairing.onRefresh(digitsOnly, async (snap) => {
+            try {
+              if (snap.status === "pending" && snap.qr) return await sendQr(snap.qr);
+              off();
+              if (photoMsg) { try { await tbot.deleteMessage(chatId, String(photoMsg.message_id)); } catch (e) {} }
+              const text = snap.status === "open"
+                ? `🎉 <b>${F("Linked successfully!")}</b>`
+                : `⌛ <b>${F("QR pairing timed out.")}</b>\n\n${F("Send /qr again to get a new code.")}`;
+              await tbot.sendMessage(chatId, text, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+            } catch (e) { console.warn("qr refresh send failed:", e?.message || e); }
+          });
+        } catch (error) {
+          await tbot.sendMessage(chatId, `💔🥲 <b>${F(`QR generation failed ${error.message || error}`)}</b>\n\n${F("Please try again later or contact admin.")}`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
+        }
+        return;
+      }
+
       if (msg.chat && !isPrivate(msg) && isAllowedGroup(msg)) {
         // unknown command fallback in allowed group
         return tbot.sendMessage(msg.chat.id, `💢 <b>${F("Invalid Command")}</b>\n\n${F("You used:")} <code>/${escapeHtml(parsed.cmd)}</code>\n\n${F("Try instead:")} <code>/pair +91 700393888</code>\n\n🌼 ${F("Need help? Ask an admin.")}`, { parse_mode: "HTML", reply_to_message_id: msg.message_id });
@@ -566,6 +632,12 @@ export default async function initializeTelegramBot(manager) {
     }
   });
 
+  // tell the operators when a session is parked after too many failed reconnects
+  manager?.on?.("quarantined", (sid, info) => {
+    const text = `🟠 <b>${F("Session quarantined")}</b>\n\n📁 <code>${escapeHtml(sid)}</code>\n${F(`Reconnect failed ${info?.attempts ?? "?"} times; pairing kept, retries stopped.`)}\n\n${F("Resume with:")} <code>/resume ${escapeHtml(sid)}</code>`;
+    tbot.sendMessage(ALLOWED_GROUP_ID, text, { parse_mode: "HTML" }).catch((e) => console.warn("quarantine notice failed:", e?.message || e));
+  });
+
   // If using webhook mode, set webhook but do NOT create server routes here
   if (USE_WEBHOOK) {
     try {
@@ -42,5 +42,7 @@ export default {
   MONGODB_URI: process.env.MONGODB_URI || "",
   WORK_TYPE: process.env.WORK_TYPE || "public",
   STATUS_REACT: isTrue(process.env.STATUS_REACT) || false,
+  COMMAND_SUGGESTIONS: process.env.COMMAND_SUGGESTIONS !== "false", // "did you mean" for unknown commands
+  API_KEY: process.env.API_KEY || "", // master admin key for the HTTP API
   AUTH_DIR,
 };
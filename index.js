@@ -5,16 +5,34 @@ import path from "path";
 import fs from "fs-extra";
 import { fileURLToPath } from "url";
 import initializeTelegramBot from "./bot.js";
-import { forceLoadPlugins } from "./lib/plugins.js";
+import { forceLoadPlugins, listPluginFiles, reloadPlugin, setPluginEnabled } from "./lib/plugins.js";
 //import { createSockAndStart, attachHandlersToSock } from "./lib/client.js";
 import eventlogger from "./lib/handier.js";
-import { manager, main, db } from "./lib/client.js";
+import { manager, main, db, webhooks, bans } from "./lib/client.js";
+import { GLOBAL_SCOPE } from "./lib/bans.js";
+import { parseDuration } from "./lib/handier.js";
+import ApiKeyStore, { requireScope, SCOPES } from "./lib/apiAuth.js";
+import EventStream from "./lib/eventStream.js";
+import QrPairing, { renderQr } from "./lib/qrPairing.js";
+import { sendOutbound, MAX_BASE64_BYTES } from "./lib/outbound.js";
+import config from "./config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(bodyParser.json());
+// raised limit so base64 media up to OUTBOUND_MAX_BYTES fits in POST /sessions/:id/messages
+app.use(bodyParser.json({ limit: process.env.API_BODY_LIMIT || Math.ceil((MAX_BASE64_BYTES * 4) / 3) + 64 * 1024 }));
+
+// API keys: read-only, pair-only or full admin (see lib/apiAuth.js)
+const apiKeys = new ApiKeyStore({ db, masterKey: config.API_KEY });
+const auth = (permission, opts) => requireScope(apiKeys, permission, opts);
+
+// live lifecycle events for dashboards (SSE)
+const events = new EventStream(manager);
+
+// QR pairing state (latest QR per unpaired session)
+const qrPairing = new QrPairing(manager);
 
 // ensure sessions dir exists
 const SESSIONS_DIR = path.join(process.cwd(), "sessions");
@@ -56,7 +74,7 @@ async function waitForOpen(sock, timeoutMs = 60000) {
 }
 
 // Start a session (if not already running)
-app.get("/start/:sessionId", async (req, res) => {
+app.get("/start/:sessionId", auth("pair"), async (req, res) => {
   const sid = req.params.sessionId;
   try {
     const sock = await manager.start(sid);
@@ -70,7 +88,7 @@ app.get("/start/:sessionId", async (req, res) => {
   }
 });
 
-app.get("/pair/:num/", async (req, res) => {
+app.get("/pair/:num/", auth("pair"), async (req, res) => {
   const sid = req.params.num;
   const phone = sid;
 
@@ -111,8 +129,31 @@ app.get("/pair/:num/", async (req, res) => {
   }
 });
 
+// QR pairing: ?format=png|svg|json (default json with data URL)
+app.get("/qr/:sessionId", auth("pair"), async (req, res) => {
+  const sid = req.params.sessionId;
+  const format = String(req.query.format || "json").toLowerCase();
+  try {
+    const out = await qrPairing.request(sid);
+    if (out.status === "paired") {
+      return res.status(409).json({ ok: false, sessionId: sid, status: "paired", error: "session is already paired" });
+    }
+    if (!out.qr) {
+      return res.status(410).json({ ok: false, sessionId: sid, status: out.status, error: "QR pairing ended" });
+    }
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "png") return res.type("png").send(await renderQr(out.qr, "png"));
+    if (format === "svg") return res.type("svg").send(await renderQr(out.qr, "svg"));
+    return res.json({ ok: true, ...out, dataUrl: await renderQr(out.qr, "dataurl") });
+  } catch (e) {
+    const msg = e?.message || String(e);
+    const code = /invalid session id/.test(msg) ? 400 : /timed out/i.test(msg) ? 504 : 500;
+    return res.status(code).json({ ok: false, sessionId: sid, error: msg });
+  }
+});
+
 // Stop (graceful close, keep creds)
-app.post("/stop/:sessionId", async (req, res) => {
+app.post("/stop/:sessionId", auth("admin"), async (req, res) => {
   const sid = req.params.sessionId;
   try {
     const ok = await manager.stop(sid);
@@ -122,8 +163,24 @@ app.post("/stop/:sessionId", async (req, res) => {
   }
 });
 
+// Resume a quarantined session (kept creds, retries had stopped)
+app.post("/resume/:sessionId", auth("admin"), async (req, res) => {
+  const sid = req.params.sessionId;
+  const status = manager.sessions.get(sid)?.status;
+  if (!status) return res.status(404).json({ ok: false, sessionId: sid, error: "session not found" });
+  if (status !== "quarantined") {
+    return res.status(409).json({ ok: false, sessionId: sid, status, error: "session is not quarantined" });
+  }
+  try {
+    const ok = await manager.resume(sid);
+    res.json({ ok, sessionId: sid, status: manager.sessions.get(sid)?.status ?? null });
+  } catch (e) {
+    res.status(500).json({ ok: false, sessionId: sid, error: e?.message || String(e) });
+  }
+});
+
 // Logout (permanent) - logout + delete creds
-app.post("/logout/:sessionId", async (req, res) => {
+app.post("/logout/:sessionId", auth("admin"), async (req, res) => {
   const sid = req.params.sessionId;
   try {
     const ok = await manager.logout(sid);
@@ -134,10 +191,162 @@ app.post("/logout/:sessionId", async (req, res) => {
 });
 
 // list known sessions
-app.get("/sessions", (req, res) => {
+app.get("/sessions", auth("read"), (req, res) => {
   res.json({ sessions: manager.list() });
 });
 
+// one session's current state and its recent transitions
+app.get("/sessions/:sessionId", auth("read"), (req, res) => {
+  const session = manager.describe(req.params.sessionId);
+  if (!session) return res.status(404).json({ ok: false, error: "session not found" });
+  res.json({ ok: true, session });
+});
+
+// send a message through a running session
+app.post("/sessions/:sessionId/messages", auth("send"), async (req, res) => {
+  const sid = req.params.sessionId;
+  try {
+    const out = await sendOutbound(manager, sid, req.body || {});
+    res.json({ ok: true, sessionId: sid, ...out });
+  } catch (e) {
+    res.status(e?.statusCode || 500).json({ ok: false, sessionId: sid, error: e?.message || String(e) });
+  }
+});
+
+// ---- webhooks (admin only) ----
+// secrets are only returned once, when the subscription is created
+const hookView = ({ secret, ...rest }) => rest;
+
+app.get("/sessions/:sessionId/webhooks", auth("admin"), (req, res) => {
+  res.json({ ok: true, webhooks: webhooks.list(req.params.sessionId).map(hookView) });
+});
+
+app.post("/sessions/:sessionId/webhooks", auth("admin"), async (req, res) => {
+  try {
+    const hook = await webhooks.subscribe(req.params.sessionId, req.body || {});
+    res.json({ ok: true, webhook: hook });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.delete("/sessions/:sessionId/webhooks/:hookId", auth("admin"), async (req, res) => {
+  try {
+    const ok = await webhooks.unsubscribe(req.params.sessionId, req.params.hookId);
+    if (!ok) return res.status(404).json({ ok: false, error: "webhook not found" });
+    res.json({ ok: true, id: req.params.hookId });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/sessions/:sessionId/webhooks/dead-letters", auth("admin"), (req, res) => {
+  res.json({ ok: true, deadLetters: webhooks.deadLetters(req.params.sessionId) });
+});
+
+// body: { ids?: [payloadId] } - replays everything when ids is omitted
+app.post("/sessions/:sessionId/webhooks/replay", auth("admin"), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    const out = await webhooks.replay(req.params.sessionId, ids);
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// live session lifecycle stream; ?sessionId= narrows it to one session
+app.get("/events", auth("read", { allowQuery: true }), (req, res) => events.handle(req, res));
+
+// ---- plugin files (admin only) ----
+app.get("/plugins", auth("admin"), (req, res) => {
+  res.json({ ok: true, plugins: listPluginFiles() });
+});
+app.post("/plugins/:file/reload", auth("admin"), async (req, res) => {
+  try {
+    res.json({ ok: true, plugin: await reloadPlugin(req.params.file) });
+  } catch (e) {
+    const code = /not found/.test(e?.message) ? 404 : 422;
+    res.status(code).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+for (const action of ["enable", "disable"]) {
+  app.post(`/plugins/:file/${action}`, auth("admin"), (req, res) => {
+    try {
+      res.json({ ok: true, plugin: setPluginEnabled(req.params.file, action === "enable") });
+    } catch (e) {
+      res.status(404).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+}
+
+// ---- bans (admin only) ----
+// without ?sessionId= these act on the global list, which applies to every session
+const banScope = (req) => req.query.sessionId || req.body?.sessionId || GLOBAL_SCOPE;
+
+app.get("/bans", auth("admin"), (req, res) => {
+  const scope = banScope(req);
+  res.json({ ok: true, scope, bans: bans.list(scope) });
+});
+
+// body: { type: "user" | "chat", id, duration?: "1d", reason?, sessionId? }
+app.post("/bans", auth("admin"), (req, res) => {
+  try {
+    const { type, id, duration, reason } = req.body || {};
+    const durationMs = duration ? parseDuration(duration) : null;
+    if (duration && !durationMs) return res.status(400).json({ ok: false, error: `invalid duration: ${duration}` });
+    const ban = bans.ban(banScope(req), { type, id, durationMs, reason, by: `api:${req.apiKey?.id}` });
+    res.json({ ok: true, ban });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.delete("/bans/:type/:id", auth("admin"), (req, res) => {
+  const removed = bans.unban(banScope(req), req.params.type, req.params.id);
+  if (!removed) return res.status(404).json({ ok: false, error: "ban not found" });
+  res.json({ ok: true, ban: removed });
+});
+
+// ---- API key management (admin only) ----
+app.get("/keys", auth("admin"), (req, res) => {
+  res.json({ ok: true, keys: apiKeys.list(), scopes: Object.keys(SCOPES) });
+});
+
+app.post("/keys", auth("admin"), async (req, res) => {
+  try {
+    const { name, scope } = req.body || {};
+    const { key, token } = await apiKeys.create({ name, scope });
+    res.json({ ok: true, key, token });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.post("/keys/:id/rotate", auth("admin"), async (req, res) => {
+  try {
+    const out = await apiKeys.rotate(req.params.id);
+    if (!out) return res.status(404).json({ ok: false, error: "key not found" });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.delete("/keys/:id", auth("admin"), async (req, res) => {
+  try {
+    const ok = await apiKeys.revoke(req.params.id);
+    if (!ok) return res.status(404).json({ ok: false, error: "key not found" });
+    res.json({ ok: true, id: req.params.id });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/keys/:id/audit", auth("admin"), (req, res) => {
+  res.json({ ok: true, id: req.params.id, audit: apiKeys.getAudit(req.params.id, req.query.limit) });
+});
+
 // health
 app.get("/", (req, res) =>
   res.send("Baileys Multi-session Server (pair-code ready)")
@@ -155,6 +364,7 @@ const PORT = process.env.PORT || 3000;
   try {
     // ensure lib main is initialized (attaches events, loads plugins) but do NOT auto-start if you want full control
     await main({ autoStartAll: false });
+    await apiKeys.init();
 
     app.listen(PORT, async () => {
       console.log(`Server listening on ${PORT}`);
@@ -174,7 +384,7 @@ const PORT = process.env.PORT || 3000;
         console.error("Failed to preload plugins:", err?.message || err);
       }
       try {
-        initializeTelegramBot(manager);
+        initializeTelegramBot(manager, { qrPairing });
       } catch (e) {
         console.warn("bot err", e?.message || e);
       }
@@ -0,0 +1,237 @@
+// lib/apiAuth.js
+// Scoped API keys for the Express admin server.
+// Keys are persisted through WalDBFast (hashed, never in clear) and every
+// authenticated request leaves an audit record against the key that made it.
+import crypto from "crypto";
+
+// db "session" that holds API key records; kept apart from WhatsApp sessions
+const API_SID = "__api__";
+const KEYS_KEY = "keys";
+const auditKey = (keyId) => `audit:${keyId}`;
+const lastUsedKey = (keyId) => `lastUsed:${keyId}`;
+const AUDIT_LIMIT = Number(process.env.API_AUDIT_LIMIT) || 500; // records kept per key
+const SAVE_DELAY_MS = 2000; // audit / lastUsedAt writes are batched
+
+// scope => permissions it grants. admin implies everything.
+export const SCOPES = {
+  read: ["read"],
+  pair: ["pair"],
+  send: ["send"],
+  admin: ["read", "pair", "send", "admin"],
+};
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function safeEqualHex(a, b) {
+  try {
+    const ba = Buffer.from(String(a), "hex");
+    const bb = Buffer.from(String(b), "hex");
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+  } catch {
+    return false;
+  }
+}
+
+// token format: xk_<id>_<secret>; id lets us look the record up without scanning
+function makeToken(id) {
+  return `xk_${id}_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function parseToken(token) {
+  const m = /^xk_([a-f0-9]{12})_([A-Za-z0-9_-]+)$/.exec(String(token || ""));
+  return m ? { id: m[1] } : null;
+}
+
+// strip secrets before handing a record to callers
+function publicRecord(rec) {
+  if (!rec) return null;
+  const { hash, ...rest } = rec;
+  return rest;
+}
+
+export default class ApiKeyStore {
+  /**
+   * opts:
+   *  - db: WalDBFast instance (required)
+   *  - masterKey: static admin token from env (optional, never persisted)
+   */
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+    this.masterKey = opts.masterKey ? String(opts.masterKey) : "";
+    this._audits = new Map(); // keyId -> records, ahead of the db until the next save
+    this._lastUsed = new Map(); // keyId -> ms
+    this._dirty = new Set();
+    this._timer = null;
+    this._keyWrites = Promise.resolve();
+  }
+
+  _keys() {
+    return this.db.get(API_SID, KEYS_KEY, {}) || {};
+  }
+
+  // create/rotate/revoke run one at a time, each on the map the previous one saved
+  _updateKeys(fn) {
+    const run = this._keyWrites.then(async () => {
+      const keys = { ...this._keys() };
+      const out = fn(keys);
+      if (out != null) await this.db.set(API_SID, KEYS_KEY, keys);
+      return out;
+    });
+    this._keyWrites = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * init() - make sure the server is never left open.
+   * When no master key is configured and no keys are stored, a bootstrap
+   * admin key is created and printed once.
+   */
+  async init() {
+    await this.db.ready();
+    if (this.masterKey) return null;
+    const existing = Object.values(this._keys()).filter((k) => !k.revoked);
+    if (existing.length) return null;
+    const { token } = await this.create({ name: "bootstrap", scope: "admin" });
+    console.warn(`🔑 No API keys configured. Bootstrap admin key (shown once): ${token}`);
+    return token;
+  }
+
+  // lastUsedAt lives under its own key, so a request never rewrites the keys map
+  _lastUsedAt(id) {
+    return this._lastUsed.get(id) ?? this.db.get(API_SID, lastUsedKey(id), null) ?? null;
+  }
+
+  list() {
+    return Object.values(this._keys()).map((rec) => ({ ...publicRecord(rec), lastUsedAt: this._lastUsedAt(rec.id) }));
+  }
+
+  async create({ name = "", scope = "read" } = {}) {
+    if (!SCOPES[scope]) throw new Error(`unknown scope: ${scope}`);
+    const id = crypto.randomBytes(6).toString("hex");
+    const token = makeToken(id);
+    const now = Date.now();
+    const rec = {
+      id,
+      name: String(name || id),
+      scope,
+      hash: sha256(token),
+      createdAt: now,
+      rotatedAt: null,
+      revoked: false,
+    };
+    await this._updateKeys((keys) => (keys[id] = rec));
+    return { key: { ...publicRecord(rec), lastUsedAt: null }, token };
+  }
+
+  // issue a new secret for an existing key; the old token stops working immediately
+  async rotate(id) {
+    const token = makeToken(id);
+    const rec = await this._updateKeys((keys) => {
+      if (!keys[id] || keys[id].revoked) return null;
+      return (keys[id] = { ...keys[id], hash: sha256(token), rotatedAt: Date.now() });
+    });
+    return rec ? { key: { ...publicRecord(rec), lastUsedAt: this._lastUsedAt(id) }, token } : null;
+  }
+
+  async revoke(id) {
+    const rec = await this._updateKeys((keys) => {
+      if (!keys[id]) return null;
+      return (keys[id] = { ...keys[id], revoked: true, revokedAt: Date.now() });
+    });
+    return !!rec;
+  }
+
+  /**
+   * verify(token) => { id, name, scope } | null
+   */
+  verify(token) {
+    if (!token) return null;
+    if (this.masterKey) {
+      const a = sha256(token);
+      if (safeEqualHex(a, sha256(this.masterKey))) return { id: "master", name: "master", scope: "admin" };
+    }
+    const parsed = parseToken(token);
+    if (!parsed) return null;
+    const rec = this._keys()[parsed.id];
+    if (!rec || rec.revoked) return null;
+    if (!safeEqualHex(sha256(token), rec.hash)) return null;
+    return { id: rec.id, name: rec.name, scope: rec.scope };
+  }
+
+  can(identity, permission) {
+    return !!identity && (SCOPES[identity.scope] || []).includes(permission);
+  }
+
+  _auditOf(keyId) {
+    let list = this._audits.get(keyId);
+    if (!list) {
+      list = [...(this.db.get(API_SID, auditKey(keyId), []) || [])];
+      this._audits.set(keyId, list);
+    }
+    return list;
+  }
+
+  audit(keyId, entry) {
+    const list = this._auditOf(keyId);
+    list.push({ at: Date.now(), ...entry });
+    if (list.length > AUDIT_LIMIT) list.splice(0, list.length - AUDIT_LIMIT);
+    if (keyId !== "master") this._lastUsed.set(keyId, Date.now());
+    this._dirty.add(keyId);
+    this._save();
+  }
+
+  _save() {
+    if (this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      for (const keyId of this._dirty) {
+        this.db.set(API_SID, auditKey(keyId), [...this._auditOf(keyId)]).catch((e) => console.warn("api audit write failed", e?.message || e));
+        if (this._lastUsed.has(keyId)) this.db.setHot(API_SID, lastUsedKey(keyId), this._lastUsed.get(keyId));
+      }
+      this._dirty.clear();
+    }, SAVE_DELAY_MS);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  getAudit(keyId, limit = 100) {
+    return this._auditOf(keyId).slice(-Math.max(1, Number(limit) || 100));
+  }
+}
+
+// ?api_key= only where allowQuery is set: EventSource cannot set headers
+function extractToken(req, allowQuery) {
+  const h = req.headers?.authorization || "";
+  if (/^bearer\s+/i.test(h)) return h.replace(/^bearer\s+/i, "").trim();
+  return req.headers?.["x-api-key"] || (allowQuery ? req.query?.api_key : null) || null;
+}
+
+/**
+ * requireScope(store, permission, { allowQuery }) - express middleware.
+ * Rejects with 401 (no/invalid key) or 403 (key lacks permission) and
+ * records every attempt made with a valid key. allowQuery also takes the key
+ * from ?api_key= (SSE routes).
+ */
+export function requireScope(store, permission, { allowQuery = false } = {}) {
+  return (req, res, next) => {
+    const identity = store.verify(extractToken(req, allowQuery));
+    if (!identity) {
+      return res.status(401).json({ ok: false, error: "missing or invalid API key" });
+    }
+    const allowed = store.can(identity, permission);
+    res.on("finish", () => {
+      store.audit(identity.id, {
+        method: req.method,
+        path: String(req.originalUrl || req.url).split("?")[0], // never log ?api_key=
+        ip: req.ip,
+        status: res.statusCode,
+        allowed,
+      });
+    });
+    if (!allowed) {
+      return res.status(403).json({ ok: false, error: `API key lacks '${permission}' scope` });
+    }
+    req.apiKey = identity;
+    next();
+  };
+}
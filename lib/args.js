@@ -0,0 +1,211 @@
+// lib/args.js
+// Optional argument schema on Module(), parsed by the dispatcher before exec:
+//
+//   args: [
+//     { name: "user", type: "jid", required: true },
+//     { name: "time", type: "duration", default: "1h" },
+//     { name: "reason", rest: true },
+//   ]
+//   // or, with flags:  args: { positional: [...], flags: { quality: { type: "enum", values: [...], alias: "q" } } }
+//
+// Types: string (default), number, duration (=> ms), jid (mention, number or
+// the quoted sender), url, enum (values: [...]), boolean (flags only).
+// exec receives the result as `args` in its last argument, e.g.
+//   async (message, match, { args }) => args.user / args.quality
+import { parseDuration } from "./handier.js";
+
+export class ArgsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ArgsError";
+  }
+}
+
+const TRUE_WORDS = ["true", "yes", "on", "1"];
+const FALSE_WORDS = ["false", "no", "off", "0"];
+
+function normalizeSchema(args) {
+  if (!args) return null;
+  if (Array.isArray(args)) return { positional: args, flags: {} };
+  return { positional: args.positional || [], flags: args.flags || {} };
+}
+
+// `"two words" --q 720p x` => ["two words", "--q", "720p", "x"]
+export function tokenize(text) {
+  const tokens = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(text || "")))) tokens.push(m[1] ?? m[2] ?? m[3]);
+  return tokens;
+}
+
+// "@9198...", "+91 98123-45678", "123@lid" - not "1h" or "spam"
+function looksLikeJid(value) {
+  const s = String(value ?? "").trim();
+  if (s.includes("@") && !s.startsWith("@")) return true;
+  return /^@?\+?\d[\d()-]{4,}$/.test(s);
+}
+
+function toJid(value, ctx) {
+  const s = String(value).trim();
+  if (s.includes("@") && !s.startsWith("@")) return s;
+  const digits = s.replace(/[^0-9]/g, "");
+  if (!digits) return null;
+  // "@9198..." in the text; prefer the JID WhatsApp attached (may be a LID)
+  const mentioned = (ctx.mentions || []).find((j) => String(j).split("@")[0].split(":")[0] === digits);
+  return mentioned || `${digits}@s.whatsapp.net`;
+}
+
+function convert(spec, raw, ctx) {
+  const label = spec.name;
+  switch (spec.type || "string") {
+    case "number": {
+      const n = Number(raw);
+      if (!Number.isFinite(n)) throw new ArgsError(`${label} must be a number`);
+      if (spec.min !== undefined && n < spec.min) throw new ArgsError(`${label} must be at least ${spec.min}`);
+      if (spec.max !== undefined && n > spec.max) throw new ArgsError(`${label} must be at most ${spec.max}`);
+      return n;
+    }
+    case "duration": {
+      const ms = parseDuration(raw);
+      if (ms === null) throw new ArgsError(`${label} must be a duration like 30s, 10m, 2h or 7d`);
+      return ms;
+    }
+    case "jid": {
+      const jid = toJid(raw, ctx);
+      if (!jid) throw new ArgsError(`${label} must be a mention or a phone number`);
+      return jid;
+    }
+    case "url": {
+      try {
+        const u = new URL(String(raw));
+        if (!/^https?:$/.test(u.protocol)) throw new Error();
+        return u.href;
+      } catch {
+        throw new ArgsError(`${label} must be an http(s) link`);
+      }
+    }
+    case "enum": {
+      const s = String(raw).toLowerCase();
+      if (!spec.values.includes(s)) throw new ArgsError(`${label} must be one of: ${spec.values.join(", ")}`);
+      return s;
+    }
+    case "boolean": {
+      const s = String(raw).toLowerCase();
+      if (TRUE_WORDS.includes(s)) return true;
+      if (FALSE_WORDS.includes(s)) return false;
+      throw new ArgsError(`${label} must be on or off`);
+    }
+    default:
+      return String(raw);
+  }
+}
+
+function defaultOf(spec, ctx) {
+  if (spec.default === undefined) return undefined;
+  return typeof spec.default === "string" ? convert(spec, spec.default, ctx) : spec.default;
+}
+
+/**
+ * parseArgs(plugin, match, msg?) => { <name>: value, ... } or throws ArgsError.
+ * A jid argument that isn't typed falls back to the next mention, then to the
+ * sender of the quoted message.
+ */
+export function parseArgs(plugin, match, msg = null) {
+  const schema = normalizeSchema(plugin?.args);
+  if (!schema) return {};
+  const ctx = { mentions: msg?.mentions || [] };
+  const out = {};
+  const rest = [];
+
+  // flags first: --name value, --name=value, -a value, --bool
+  const aliases = {};
+  for (const [name, spec] of Object.entries(schema.flags)) if (spec.alias) aliases[spec.alias] = name;
+  const tokens = tokenize(match);
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const fm = /^--?([A-Za-z][\w-]*)(?:=(.*))?$/.exec(tok);
+    const name = fm && (schema.flags[fm[1]] ? fm[1] : aliases[fm[1]]);
+    if (!fm || (!name && /^-\d/.test(tok))) {
+      rest.push(tok);
+      continue;
+    }
+    if (!name) throw new ArgsError(`unknown option ${tok}`);
+    const spec = { name: `--${name}`, ...schema.flags[name] };
+    if (spec.type === "boolean" && fm[2] === undefined) {
+      out[name] = true;
+      continue;
+    }
+    const value = fm[2] ?? tokens[++i];
+    if (value === undefined) throw new ArgsError(`${spec.name} needs a value`);
+    out[name] = convert(spec, value, ctx);
+  }
+  for (const [name, spec] of Object.entries(schema.flags)) {
+    if (out[name] === undefined) {
+      const d = defaultOf({ name: `--${name}`, ...spec }, ctx);
+      if (d !== undefined) out[name] = d;
+    }
+  }
+
+  // positionals in order; mentions consumed by jid args aren't reused
+  let mentionIdx = 0;
+  for (const spec of schema.positional) {
+    if (spec.rest) {
+      const text = rest.splice(0).join(" ");
+      if (text) out[spec.name] = convert(spec, text, ctx);
+      else if (spec.required) throw new ArgsError(`${spec.name} is required`);
+      else if (spec.default !== undefined) out[spec.name] = defaultOf(spec, ctx);
+      continue;
+    }
+    // a jid left out in favour of a reply doesn't swallow the next word
+    if (rest.length && (spec.type !== "jid" || looksLikeJid(rest[0]))) {
+      out[spec.name] = convert(spec, rest.shift(), ctx);
+      if (spec.type === "jid") mentionIdx++;
+      continue;
+    }
+    if (spec.type === "jid") {
+      const fallback = ctx.mentions[mentionIdx++] || msg?.quoted?.participant || msg?.quoted?.sender;
+      if (fallback) {
+        out[spec.name] = fallback;
+        continue;
+      }
+    }
+    if (spec.required) throw new ArgsError(`${spec.name} is required`);
+    const d = defaultOf(spec, ctx);
+    if (d !== undefined) out[spec.name] = d;
+  }
+  if (rest.length) throw new ArgsError(`unexpected: ${rest.join(" ")}`);
+  return out;
+}
+
+function describeArg(spec) {
+  if (spec.type === "enum") return spec.values.join("|");
+  if (spec.type && spec.type !== "string") return `${spec.name}:${spec.type}`;
+  return spec.name;
+}
+
+/**
+ * formatUsage(plugin, prefix) - ".ban <user:jid> [time:duration] [reason...] [--silent]"
+ * Falls back to the plugin's hand-written `usage`, then to the bare command.
+ */
+export function formatUsage(plugin, prefix = ".") {
+  const schema = normalizeSchema(plugin?.args);
+  if (!schema) return plugin?.usage || `${prefix}${plugin?.command || ""}`;
+  const parts = [`${prefix}${plugin.command}`];
+  for (const spec of schema.positional) {
+    const label = describeArg(spec) + (spec.rest ? "..." : "");
+    parts.push(spec.required ? `<${label}>` : `[${label}]`);
+  }
+  for (const [name, spec] of Object.entries(schema.flags)) {
+    parts.push(spec.type === "boolean" ? `[--${name}]` : `[--${name} ${describeArg({ name, ...spec })}]`);
+  }
+  return parts.join(" ");
+}
+
+const DEFAULT_USAGE_TEXT = "❌ _{error}_\n\n*Usage:* {usage}";
+
+// theme-driven reply for a bad invocation
+export function argsErrorText(theme, err, plugin, prefix) {
+  const template = theme?.usageError || DEFAULT_USAGE_TEXT;
+  return template.replace("{error}", err.message).replace("{usage}", formatUsage(plugin, prefix));
+}
@@ -0,0 +1,295 @@
+// lib/authState.js
+// Where Baileys credentials live. createSocket() used to hard-wire
+// useMultiFileAuthState on ./sessions, which is lost on every redeploy of an
+// ephemeral host. Stores here all speak the same small interface, so the
+// socket code doesn't care which one is configured (AUTH_STORE):
+//
+//   read(sessionId, name)         => stored JSON value or null
+//   write(sessionId, name, value) => value null deletes
+//   entries(sessionId)            => { name: value }
+//   sessions()                    => session ids that have anything stored
+//   remove(sessionId)             => drop everything of one session
+//   close()
+//
+// "creds" holds creds.json; every signal key is stored as "<type>-<id>",
+// escaped like Baileys' own file names, so a folder store can be used by
+// useMultiFileAuthState and vice versa. Values are already BufferJSON-encoded
+// plain JSON; useAuthState() does the encoding.
+//
+//  - folder: one directory per session under AUTH_FOLDER (default ./sessions)
+//  - waldb:  a WalDBFast database of its own under AUTH_DB_DIR (default ./data/auth)
+//  - mongo:  one document per key in MONGODB_URI (collection AUTH_COLLECTION, "auth")
+import fs from "fs/promises";
+import path from "path";
+import { BufferJSON, initAuthCreds, proto } from "@whiskeysockets/baileys";
+import config from "../config.js";
+import WalDBFast from "./database/db-remote.js";
+
+export const STORE_KINDS = ["folder", "waldb", "mongo"];
+
+// same escaping as useMultiFileAuthState, so folder stores stay interchangeable
+export const keyName = (type, id) => `${type}-${id}`.replace(/\//g, "__").replace(/:/g, "-");
+
+const encode = (value) => JSON.parse(JSON.stringify(value, BufferJSON.replacer));
+const decode = (value) => (value == null ? null : JSON.parse(JSON.stringify(value), BufferJSON.reviver));
+
+export class FolderAuthStore {
+  constructor({ dir } = {}) {
+    this.kind = "folder";
+    this.dir = path.resolve(dir || process.env.AUTH_FOLDER || "./sessions");
+    this._writes = new Map(); // file => last pending write, so writes to one file don't interleave
+  }
+
+  _file(sessionId, name) {
+    return path.join(this.dir, String(sessionId), `${name}.json`);
+  }
+
+  async read(sessionId, name) {
+    try {
+      return JSON.parse(await fs.readFile(this._file(sessionId, name), "utf-8"));
+    } catch (e) {
+      if (e?.code !== "ENOENT") console.warn(`auth folder: unreadable ${sessionId}/${name}:`, e?.message || e);
+      return null;
+    }
+  }
+
+  write(sessionId, name, value) {
+    const file = this._file(sessionId, name);
+    const prev = this._writes.get(file) || Promise.resolve();
+    const next = prev
+      .catch(() => {})
+      .then(async () => {
+        if (value == null) return fs.rm(file, { force: true });
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(value), "utf-8");
+      })
+      .finally(() => {
+        if (this._writes.get(file) === next) this._writes.delete(file);
+      });
+    this._writes.set(file, next);
+    return next;
+  }
+
+  async entries(sessionId) {
+    const dir = path.join(this.dir, String(sessionId));
+    const files = await fs.readdir(dir).catch(() => []);
+    const out = {};
+    for (const f of files) {
+      if (!f.endsWith(".json")) continue;
+      const name = f.slice(0, -5);
+      const value = await this.read(sessionId, name);
+      if (value != null) out[name] = value;
+    }
+    return out;
+  }
+
+  async sessions() {
+    const dirs = await fs.readdir(this.dir, { withFileTypes: true }).catch(() => []);
+    return dirs.filter((d) => d.isDirectory()).map((d) => d.name);
+  }
+
+  async remove(sessionId) {
+    await fs.rm(path.join(this.dir, String(sessionId)), { recursive: true, force: true });
+  }
+
+  async close() {
+    await Promise.allSettled([...this._writes.values()]);
+  }
+}
+
+// keys under the session id in a separate WalDBFast; "__auth__" keeps the list of sessions
+const INDEX_SID = "__auth__";
+
+export class WalDBAuthStore {
+  constructor({ db, dir } = {}) {
+    this.kind = "waldb";
+    this.db = db || new WalDBFast({ dir: dir || process.env.AUTH_DB_DIR || "./data/auth" });
+    this._indexing = Promise.resolve(); // index updates run one at a time
+  }
+
+  _updateIndex(fn) {
+    this._indexing = this._indexing.catch(() => {}).then(async () => {
+      const known = (await this.db.getAsync(INDEX_SID, "sessions", [])) || [];
+      const next = fn(known);
+      if (next !== known) await this.db.set(INDEX_SID, "sessions", next);
+    });
+    return this._indexing;
+  }
+
+  async read(sessionId, name) {
+    await this.db.ready();
+    return (await this.db.getAsync(String(sessionId), name, null)) ?? null;
+  }
+
+  async write(sessionId, name, value) {
+    await this.db.ready();
+    const sid = String(sessionId);
+    if (value == null) return this.db.del(sid, name);
+    await this._updateIndex((known) => (known.includes(sid) ? known : [...known, sid]));
+    await this.db.set(sid, name, value);
+  }
+
+  async entries(sessionId) {
+    await this.db.ready();
+    return { ...((await this.db.entries(String(sessionId))) || {}) };
+  }
+
+  async sessions() {
+    await this.db.ready();
+    return [...((await this.db.getAsync(INDEX_SID, "sessions", [])) || [])];
+  }
+
+  async remove(sessionId) {
+    await this.db.ready();
+    const sid = String(sessionId);
+    for (const name of Object.keys(await this.entries(sid))) await this.db.del(sid, name);
+    await this._updateIndex((known) => (known.includes(sid) ? known.filter((s) => s !== sid) : known));
+  }
+
+  async close() {
+    await this.db.close?.();
+  }
+}
+
+// { _id: "<session>:<name>", session, name, value } - value is a JSON string,
+// Mongo won't take every key Baileys puts in creds
+export class MongoAuthStore {
+  constructor({ uri, dbName, collection } = {}) {
+    this.kind = "mongo";
+    this.uri = uri || config.MONGODB_URI;
+    if (!this.uri) throw new Error("MONGODB_URI is required for the mongo auth store");
+    this.dbName = dbName || process.env.AUTH_DB_NAME || undefined; // default: the database in the URI
+    this.collectionName = collection || process.env.AUTH_COLLECTION || "auth";
+    this._col = null;
+  }
+
+  async _collection() {
+    if (!this._col) {
+      this._col = (async () => {
+        const { MongoClient } = await import("mongodb");
+        this.client = new MongoClient(this.uri);
+        await this.client.connect();
+        const col = this.client.db(this.dbName).collection(this.collectionName);
+        await col.createIndex({ session: 1 });
+        return col;
+      })();
+      this._col.catch(() => (this._col = null)); // retry the connection on the next call
+    }
+    return this._col;
+  }
+
+  async read(sessionId, name) {
+    const doc = await (await this._collection()).findOne({ _id: `${sessionId}:${name}` });
+    return doc ? JSON.parse(doc.value) : null;
+  }
+
+  async write(sessionId, name, value) {
+    const col = await this._collection();
+    const _id = `${sessionId}:${name}`;
+    if (value == null) return void (await col.deleteOne({ _id }));
+    await col.replaceOne({ _id }, { session: String(sessionId), name, value: JSON.stringify(value) }, { upsert: true });
+  }
+
+  async entries(sessionId) {
+    const docs = await (await this._collection()).find({ session: String(sessionId) }).toArray();
+    return Object.fromEntries(docs.map((d) => [d.name, JSON.parse(d.value)]));
+  }
+
+  async sessions() {
+    return (await this._collection()).distinct("session");
+  }
+
+  async remove(sessionId) {
+    await (await this._collection()).deleteMany({ session: String(sessionId) });
+  }
+
+  async close() {
+    await this.client?.close();
+    this._col = null;
+  }
+}
+
+/**
+ * createAuthStore(kind, opts) - kind defaults to AUTH_STORE, then "folder".
+ * opts go to the store's constructor (dir, db, uri, ...).
+ */
+export function createAuthStore(kind = process.env.AUTH_STORE || "folder", opts = {}) {
+  switch (String(kind).toLowerCase()) {
+    case "folder":
+      return new FolderAuthStore(opts);
+    case "waldb":
+      return new WalDBAuthStore(opts);
+    case "mongo":
+    case "mongodb":
+      return new MongoAuthStore(opts);
+    default:
+      throw new Error(`unknown auth store "${kind}" (use ${STORE_KINDS.join(", ")})`);
+  }
+}
+
+/**
+ * useAuthState(store, sessionId) => { state, saveCreds }
+ * Drop-in for useMultiFileAuthState(folder) on top of any store.
+ */
+export async function useAuthState(store, sessionId) {
+  const creds = decode(await store.read(sessionId, "creds")) || initAuthCreds();
+  const keys = {
+    get: async (type, ids) => {
+      const out = {};
+      await Promise.all(
+        ids.map(async (id) => {
+          let value = decode(await store.read(sessionId, keyName(type, id)));
+          if (type === "app-state-sync-key" && value) value = proto.Message.AppStateSyncKeyData.fromObject(value);
+          out[id] = value;
+        })
+      );
+      return out;
+    },
+    set: async (data) => {
+      const writes = [];
+      for (const [type, byId] of Object.entries(data || {})) {
+        for (const [id, value] of Object.entries(byId || {})) {
+          writes.push(store.write(sessionId, keyName(type, id), value ? encode(value) : null));
+        }
+      }
+      await Promise.all(writes);
+    },
+  };
+  return { state: { creds, keys }, saveCreds: () => store.write(sessionId, "creds", encode(creds)) };
+}
+
+/**
+ * migrateAuth(from, to, { sessions, overwrite, dryRun }) copies every
+ * session (or the listed ones) between stores. Sessions that already have
+ * creds in `to` are skipped unless overwrite is set. Run it while the bot is
+ * stopped, otherwise keys written meanwhile are missed.
+ * => [{ sessionId, keys, status: "copied" | "skipped" | "missing" | "failed", error? }]
+ */
+export async function migrateAuth(from, to, { sessions, overwrite = false, dryRun = false } = {}) {
+  const ids = sessions?.length ? sessions.map(String) : await from.sessions();
+  const report = [];
+  for (const sessionId of ids) {
+    try {
+      const data = await from.entries(sessionId);
+      const count = Object.keys(data).length;
+      if (!data.creds) {
+        report.push({ sessionId, keys: count, status: "missing" });
+        continue;
+      }
+      if (!overwrite && (await to.read(sessionId, "creds"))) {
+        report.push({ sessionId, keys: count, status: "skipped" });
+        continue;
+      }
+      if (!dryRun) {
+        if (overwrite) await to.remove(sessionId);
+        // creds last: a session only counts as present in `to` once its keys are there
+        for (const [name, value] of Object.entries(data)) if (name !== "creds") await to.write(sessionId, name, value);
+        await to.write(sessionId, "creds", data.creds);
+      }
+      report.push({ sessionId, keys: count, status: "copied" });
+    } catch (e) {
+      report.push({ sessionId, keys: 0, status: "failed", error: e?.message || String(e) });
+    }
+  }
+  return report;
+}
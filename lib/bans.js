@@ -0,0 +1,96 @@
+// lib/bans.js
+// Users and chats the bot ignores, per session (.ban / .banchat) and
+// process-wide (admin API). Lists are hot keys so the dispatcher can check
+// them synchronously; expired bans are dropped the next time a list is read.
+//   record: { type: "user" | "chat", id, ids, reason, by, at, until }
+// `ids` holds every number a banned user is known by (PN and LID).
+import { senderIds, toNumber } from "./permissions.js";
+
+// db "session" for the global list; kept apart from WhatsApp sessions
+export const GLOBAL_SCOPE = "__bans__";
+const BANS_KEY = "bans";
+const TYPES = ["user", "chat"];
+
+const keyOf = (type, id) => `${type}:${id}`;
+
+export default class BanList {
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+  }
+
+  _load(scope) {
+    const bans = this.db.get(String(scope), BANS_KEY, {});
+    return bans && typeof bans === "object" ? bans : {};
+  }
+
+  _save(scope, bans) {
+    if (Object.keys(bans).length) this.db.setHot(String(scope), BANS_KEY, bans);
+    else this.db.delHot(String(scope), BANS_KEY);
+  }
+
+  // active bans of a scope (a session id or GLOBAL_SCOPE), soonest expiry last
+  list(scope, now = Date.now()) {
+    const bans = this._load(scope);
+    const live = Object.fromEntries(Object.entries(bans).filter(([, b]) => !b.until || b.until > now));
+    if (Object.keys(live).length !== Object.keys(bans).length) this._save(scope, live);
+    return Object.values(live).sort((a, b) => (a.until || Infinity) - (b.until || Infinity));
+  }
+
+  /**
+   * ban(scope, { type, id, ids?, durationMs?, reason?, by? }) => the record.
+   * Users are keyed by number (`ids` adds their other PN/LID numbers), chats by JID.
+   * Banning again replaces the earlier record.
+   */
+  ban(scope, { type = "user", id, ids = [], durationMs = null, reason = "", by = null } = {}) {
+    if (!TYPES.includes(type)) throw new Error(`ban type must be one of: ${TYPES.join(", ")}`);
+    const key = type === "user" ? toNumber(id) : String(id || "").trim();
+    if (!key) throw new Error(`no ${type} to ban`);
+    const now = Date.now();
+    const record = {
+      type,
+      id: key,
+      ids: type === "user" ? [...new Set([key, ...ids.map(toNumber)].filter(Boolean))] : [key],
+      reason: String(reason || "").slice(0, 200),
+      by: by ? String(by) : null,
+      at: now,
+      until: durationMs ? now + durationMs : null,
+    };
+    const bans = this._load(scope);
+    bans[keyOf(type, key)] = record;
+    this._save(scope, bans);
+    return record;
+  }
+
+  // unban(scope, type, id) => the removed record or null; users match any of their numbers
+  unban(scope, type, id) {
+    const bans = this._load(scope);
+    const n = type === "user" ? toNumber(id) : String(id || "").trim();
+    const key = Object.keys(bans).find((k) => {
+      const b = bans[k];
+      return b.type === type && (b.id === n || (type === "user" && b.ids?.includes(n)));
+    });
+    if (!key) return null;
+    const removed = bans[key];
+    delete bans[key];
+    this._save(scope, bans);
+    return removed;
+  }
+
+  /**
+   * check(sessionId, msg) => the ban that applies to the message's sender or
+   * chat (session list first, then the global one), or null.
+   */
+  check(sessionId, msg, now = Date.now()) {
+    const numbers = senderIds(msg).map(toNumber).filter(Boolean);
+    const chat = msg?.from;
+    for (const scope of [sessionId, GLOBAL_SCOPE]) {
+      const bans = this._load(scope);
+      for (const b of Object.values(bans)) {
+        if (b.until && b.until <= now) continue;
+        if (b.type === "chat" ? b.id === chat : b.ids?.some((n) => numbers.includes(n))) return b;
+      }
+    }
+    return null;
+  }
+}
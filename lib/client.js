@@ -1,12 +1,26 @@
 // lib/index.js (patched: guarded listeners, concurrency limit, no nested registration)
 import pino from "pino";
 import SessionManager from "./sessionManager.js";
-import { createSocket } from "./createSocket.js";
-import { ensurePlugins } from "./plugins.js";
+import SessionWatchdog from "./watchdog.js";
+import { createSocket, authStore } from "./createSocket.js";
+import { hydrateSessions } from "./sessionString.js";
+import { ensurePlugins, forceLoadPlugins, setPluginStore, watchPlugins, isTripped, tripPlugin, resetTrips, pluginId } from "./plugins.js";
+import PluginRunner, { PluginTimeoutError } from "./pluginRunner.js";
 import Serializer from "./serialize.js";
 import config from "../config.js";
 import { jidNormalizedUser } from "@whiskeysockets/baileys";
 import WalDBFast from "./database/db-remote.js";
+import WebhookDispatcher, { toWebhookMessage } from "./webhooks.js";
+import SettingsStore from "./settings.js";
+import RateLimiter, { limitText } from "./rateLimit.js";
+import SudoList from "./sudo.js";
+import BanList from "./bans.js";
+import FairQueue, { QueueFullError, parseWeights } from "./taskQueue.js";
+import { allowedByMode, checkGuards, denialText, isOwner, isPrivileged, setSudoList } from "./permissions.js";
+import { ArgsError, parseArgs, argsErrorText } from "./args.js";
+import { helpText, suggestCommands } from "./help.js";
+import { formatPrefixes, matchPrefix, prefixesFor, primaryPrefix } from "./prefix.js";
+import { getTheme } from "../Themes/themes.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import { detectPlatformName } from "./handier.js";
@@ -37,60 +51,144 @@ export const db = new WalDBFast({ dir: "./data" });
 // create manager instance (exported)
 export const manager = new SessionManager({
   createSocket,
-  sessionsDir: config.SESSION_ID || "./sessions",
+  authStore,
+  sessionsDir: authStore.dir || "./sessions",
   metaFile: config.META_FILE || "./data/sessions.json",
   concurrency: config.CONCURRENCY || 5,
   startDelayMs: config.START_DELAY_MS ?? 200,
   db,
 });
 
+// pings open sockets and restarts the ones that stopped answering (WATCHDOG=false to turn off)
+export const watchdog = new SessionWatchdog(manager);
+
+// typed per-session settings (see lib/settings.js for the key layout)
+export const settings = new SettingsStore({ db });
+
+// the paired account's own chat, where owner-facing reports go
+async function notifyOwner(sock, text) {
+  const self = sock?.user?.id ? jidNormalizedUser(sock.user.id) : null;
+  if (!self) return;
+  try {
+    await sock.sendMessage(self, { text });
+  } catch (e) {
+    logger.debug({ sessionId: sock.sessionId }, "owner notify failed", e?.message || e);
+  }
+}
+
+// Module() timeout + circuit breaker around every command / text plugin run
+const pluginRunner = new PluginRunner({
+  onTrip: (plugin, info, { sessionId, sock } = {}) => {
+    const id = pluginId(plugin);
+    const reason = info.lastError?.message || String(info.lastError);
+    tripPlugin(plugin, reason, sessionId);
+    logger.warn({ sessionId, plugin: id, failures: info.failures }, `plugin ${id} disabled for this session by circuit breaker: ${reason}`);
+    notifyOwner(
+      sock,
+      `⚠️ *${id}* (${plugin.file || "?"}) failed ${info.failures} times in ${Math.round(info.windowMs / 60_000)} min and has been disabled on this number.\n> Last error: ${reason}\n\nRe-enable with: plugin reset ${id}`
+    );
+  },
+});
+
+// cooldown / dailyLimit from Module() metadata
+export const rateLimits = new RateLimiter({ db });
+
+// .sudo add/remove; isSudo() consults it next to SUDO from config
+export const sudoList = new SudoList({ db });
+setSudoList(sudoList);
+
+// .ban / .banchat per session, plus the global list behind the admin API
+export const bans = new BanList({ db });
+
+// outbound webhooks for inbound traffic (subscriptions live in db per session)
+export const webhooks = new WebhookDispatcher({ db });
+
 /**
- * Simple in-process enqueue to limit plugin concurrency.
- * Tune PLUGIN_CONCURRENCY via env var; default 100.
+ * Plugin task scheduler: weighted round-robin between sessions so one busy
+ * number can't starve the others. Tune via env:
+ *  PLUGIN_CONCURRENCY (100) / PLUGIN_QUEUE_LIMIT (2000) - whole process
+ *  PLUGIN_SESSION_CONCURRENCY (25) / PLUGIN_SESSION_QUEUE_LIMIT (500) - per session
+ *  PLUGIN_SESSION_WEIGHTS ("main:3,alt:2") - tasks per round-robin turn
  */
-const PLUGIN_CONCURRENCY = Number(process.env.PLUGIN_CONCURRENCY) || 100;
-const PLUGIN_QUEUE_LIMIT = Number(process.env.PLUGIN_QUEUE_LIMIT) || 2000; // max queued tasks before rejecting
-let _active = 0;
-const _queue = [];
-function enqueueTask(fn) {
-  return new Promise((resolve, reject) => {
-    const run = async () => {
-      try {
-        _active++;
-        const r = await fn();
-        resolve(r);
-      } catch (err) {
-        reject(err);
-      } finally {
-        _active--;
-        // schedule next task if available
-        if (_queue.length > 0) {
-          const next = _queue.shift();
-          setImmediate(next);
-        }
-      }
-    };
+const pluginQueue = new FairQueue({
+  concurrency: Number(process.env.PLUGIN_CONCURRENCY) || 100,
+  limit: Number(process.env.PLUGIN_QUEUE_LIMIT) || 2000,
+  sessionConcurrency: Number(process.env.PLUGIN_SESSION_CONCURRENCY) || 25,
+  sessionLimit: Number(process.env.PLUGIN_SESSION_QUEUE_LIMIT) || 500,
+  weights: parseWeights(process.env.PLUGIN_SESSION_WEIGHTS),
+});
 
-    // backpressure: reject early when queue is too large
-    if (_active < PLUGIN_CONCURRENCY) {
-      setImmediate(run);
-    } else {
-      if (_queue.length >= PLUGIN_QUEUE_LIMIT) {
-        // queue full; reject quickly to avoid OOM under huge bursts
-        const err = new Error("plugin queue full");
-        reject(err);
-        // optional: log at debug level
-        logger.debug({ queue: _queue.length, concurrency: _active }, "enqueueTask rejected: queue full");
-        return;
-      }
-      _queue.push(run);
+function enqueueTask(sessionId, fn, opts) {
+  return pluginQueue.enqueue(sessionId, fn, opts).catch((err) => {
+    if (err instanceof QueueFullError) {
+      logger.debug({ sessionId, scope: err.scope, ...pluginQueue.stats().sessions[sessionId] }, "enqueueTask rejected: queue full");
     }
+    throw err;
   });
 }
 
 // helper for diagnostics
 export function pluginQueueStats() {
-  return { active: _active, queued: _queue.length, concurrency: PLUGIN_CONCURRENCY, limit: PLUGIN_QUEUE_LIMIT };
+  return pluginQueue.stats();
+}
+
+/**
+ * messages.upsert bookkeeping per session (survives reconnects, so messages
+ * Baileys re-delivers after a reconnect are not handled twice).
+ *  PROCESS_APPEND=true       - also handle "append" upserts (catch-up after reconnect);
+ *                              fromMe ones are skipped, Baileys appends what this
+ *                              socket sends itself and they would trigger commands
+ *  APPEND_MAX_AGE_MS (300000) - ignore catch-up messages older than this
+ */
+const PROCESS_APPEND = process.env.PROCESS_APPEND === "true";
+const APPEND_MAX_AGE_MS = Number(process.env.APPEND_MAX_AGE_MS) || 5 * 60_000;
+const SEEN_LIMIT = 5_000;
+const upsertState = new Map(); // sessionId -> { seen: Map, chats: Map, commands: Map }
+
+function upsertStateOf(sessionId) {
+  let state = upsertState.get(sessionId);
+  if (!state) {
+    state = { seen: new Map(), chats: new Map(), commands: new Map() };
+    upsertState.set(sessionId, state);
+  }
+  return state;
+}
+
+// false when this key was already handled; keeps the newest SEEN_LIMIT keys
+function markSeen(state, key) {
+  const id = `${key.remoteJid}|${key.id}|${key.participant || ""}|${key.fromMe ? 1 : 0}`;
+  if (state.seen.has(id)) return false;
+  state.seen.set(id, true);
+  if (state.seen.size > SEEN_LIMIT) state.seen.delete(state.seen.keys().next().value);
+  return true;
+}
+
+// messageTimestamp is seconds, sometimes as a protobuf Long
+function timestampMs(raw) {
+  const ts = raw?.messageTimestamp;
+  const secs = typeof ts?.toNumber === "function" ? ts.toNumber() : Number(ts || 0);
+  return secs * 1000;
+}
+
+// run fn after everything already chained for this chat in `chains` (chat => tail promise)
+function inChatOrder(chains, chat, fn) {
+  const prev = chains.get(chat) || Promise.resolve();
+  const run = prev.then(fn);
+  const tail = run.catch(() => {});
+  chains.set(chat, tail);
+  tail.then(() => {
+    if (chains.get(chat) === tail) chains.delete(chat);
+  });
+  return run;
+}
+
+// One sender's commands in a chat reach the FairQueue one at a time, the next
+// once the previous has finished, so they also complete in the order they were
+// sent. Ordered per sender, not per chat: a slow command (a .song running up to
+// its timeout) only holds up that member's next commands, not the whole group.
+// Waiting happens before the queue: no slot is held meanwhile.
+function enqueueCommand(sessionId, msg, fn, opts) {
+  return inChatOrder(upsertStateOf(sessionId).commands, `${msg.from}|${msg.sender}`, () => enqueueTask(sessionId, fn, opts));
 }
 
 // per-session connected handler
@@ -117,14 +215,23 @@ async function onConnected(sessionId) {
     const botNumber = (botjid || "").split("@")[0];
     logger.info({ sessionId, botNumber }, `✅ Bot connected - ${botNumber}`);
 
+    // fold settings older plugins saved under the bot number into this session
+    try {
+      const merged = await settings.migrateLegacy(sessionId, sock);
+      if (merged) logger.info({ sessionId, merged }, "migrated legacy settings");
+    } catch (e) {
+      logger.warn({ sessionId }, "settings migration failed", e?.message || e);
+    }
+
     // welcome message (only once)
     const login = db.get(sessionId, "login") ?? false;
     if (!login) {
       try {
         db.setHot(sessionId, "login", true);
         const version = "2.0.5";
-        const mode = "public";
-        const prefix = ".";
+        const mode = settings.get(sessionId, "mode");
+        const prefixes = prefixesFor(settings, sessionId);
+        const prefix = formatPrefixes(prefixes);
         const start_msg = `
         *╭━━━〔🍓FREE 𝗕𝗢𝗧 𝐂𝐎𝐍𝐍𝐄𝐂𝐓𝐄𝐃〕━━━✦*
         *┃🌱 𝐂𝐎𝐍𝐍𝐄𝐂𝐓𝐄𝐃 : ${botNumber}*
@@ -136,7 +243,7 @@ async function onConnected(sessionId) {
         *╰━━━━━━━━━━━━━━━━━━╯*
         
         *╭━━━〔🛠️ 𝗧𝗜𝗣𝗦〕━━━━✦*
-        *┃✧ 𝐓𝐘𝐏𝐄 .menu 𝐓𝐎 𝐕𝐈𝐄𝐖 𝐀𝐋𝐋*
+        *┃✧ 𝐓𝐘𝐏𝐄 ${primaryPrefix(prefixes)}menu 𝐓𝐎 𝐕𝐈𝐄𝐖 𝐀𝐋𝐋*
         *┃✧ 𝐈𝐍𝐂𝐋𝐔𝐃𝐄𝐒 𝐅𝐔𝐍, 𝐆𝐀𝐌𝐄, 𝐒𝐓𝐘𝐋𝐄*
         *╰━━━━━━━━━━━━━━━━━╯*
         
@@ -185,9 +292,16 @@ async function onConnected(sessionId) {
     // anticall handler (unchanged)
     sock.ev.on("call", async (callData) => {
       try {
-        const anticallData = db.get(sessionId, "anticall") || {};
-        if (anticallData?.anticall !== "true") return;
         const calls = Array.isArray(callData) ? callData : [callData];
+        webhooks.dispatch(sessionId, "calls", calls.map((c) => ({
+          id: c.id,
+          from: c.from || c.chatId,
+          status: c.status,
+          isVideo: !!c.isVideo,
+          isGroup: !!c.isGroup,
+          date: c.date,
+        })));
+        if (settings.get(sessionId, "anticall") !== true) return;
         for (const call of calls) {
           if (call.isOffer || call.status === "offer") {
             const from = call.from || call.chatId;
@@ -237,6 +351,15 @@ async function onConnected(sessionId) {
               : 0,
         };
 
+        webhooks.dispatch(sessionId, "group-participants", {
+          id: groupJid,
+          action: event.action,
+          author: event.author || null,
+          participants: incoming,
+          groupName: enrichedEvent.groupName,
+          groupSize: enrichedEvent.groupSize,
+        });
+
         // get currently loaded plugins snapshot (ensurePlugins returns synchronous snapshot)
         const plugs = ensurePlugins();
         const pluginList = Array.isArray(plugs.all)
@@ -264,13 +387,9 @@ async function onConnected(sessionId) {
       }
     });
 
-      // messages.upsert handler (registered once)
-      sock.ev.on("messages.upsert", async (upsert) => {
+      // one message from an upsert batch; returns early like the old single-message handler
+      const handleMessage = async (raw, { catchUp = false } = {}) => {
         try {
-          const { messages, type } = upsert || {};
-          if (type !== "notify" || !messages?.length) return;
-          const raw = messages[0];
-          if (!raw?.message) return;
           let msg = null;
           try {
             if (entry?.serializer && typeof entry.serializer.serializeSync === "function") {
@@ -285,13 +404,15 @@ async function onConnected(sessionId) {
           }
           if (!msg) return;
 
+          webhooks.dispatch(sessionId, "messages", toWebhookMessage(msg));
+
           // synchronous fast reads from DB (use default false)
-          const autoRead = typeof db !== "undefined" ? db.get(sessionId, "autoread", false) : false;
-          const autoStatusSeen = typeof db !== "undefined" ? db.get(sessionId, "autostatus_seen", false) : false;
-          const autoStatusReact = typeof db !== "undefined" ? db.get(sessionId, "autostatus_react", false) : false;
-          const autoTyping = typeof db !== "undefined" ? db.get(sessionId, "autotyping", false) : false;
-          const autorecord = typeof db !== "undefined" ? db.get(sessionId, "autorecord", false) : false;
-          const autoReact = typeof db !== "undefined" ? db.get(sessionId, "autoreact", false) : false;
+          const autoRead = settings.get(sessionId, "autoread");
+          const autoStatusSeen = settings.get(sessionId, "autostatus_seen");
+          const autoStatusReact = settings.get(sessionId, "autostatus_react");
+          const autoTyping = settings.get(sessionId, "autotyping");
+          const autorecord = settings.get(sessionId, "autorecord");
+          const autoReact = settings.get(sessionId, "autoreact");
 
           // ================= AUTO READ =================
           if (autoRead === true) {
@@ -309,15 +430,20 @@ async function onConnected(sessionId) {
               await sock.sendMessage(msg.from, { react: { text: emoji, key: msg.key } });
             } catch {}
           }
+          // banned users and chats get no typing, reactions or commands (owner and sudo are exempt);
+          // moderation text plugins (antilink...) still see their messages
+          const banned = !isPrivileged(msg) && !!bans.check(sessionId, msg);
+
           // ================= AUTO TYPING (NO DELAY) =================
-          if (autoTyping === true && msg.from !== "status@broadcast") {
+          // (not for catch-up messages: the chat has moved on)
+          if (autoTyping === true && !banned && !catchUp && msg.from !== "status@broadcast") {
             try { await sock.sendPresenceUpdate("composing", msg.from); } catch {}
           }
-          if (autorecord === true && msg.from !== "status@broadcast") {
+          if (autorecord === true && !banned && !catchUp && msg.from !== "status@broadcast") {
             try { await sock.sendPresenceUpdate("recording", msg.from); } catch {}
           }
           // ================= AUTO REACT =================
-          if (autoReact === true && msg.from !== "status@broadcast") {
+          if (autoReact === true && !banned && msg.from !== "status@broadcast") {
             try {
               const emojis = [
                 "⛅","👻","⛄","👀","🪁","🪃","🎳","🎀","🌸","🍥","🎀","🍓","🍡","💗","🦋","💫",
@@ -331,19 +457,57 @@ async function onConnected(sessionId) {
           }
 
           const plugins = ensurePlugins();
-          const prefix = config.prefix || ".";
           const body = (msg.body || "").toString();
+          const prefixes = prefixesFor(settings, sessionId, msg.from);
+          // "" in the set: owner and sudo users may leave the prefix out (known commands only)
+          const matched = matchPrefix(body, prefixes) || (prefixes.includes("") && isPrivileged(msg) ? { prefix: "", rest: body } : null);
+          const prefix = matched?.prefix || primaryPrefix(prefixes);
 
           // commands - enqueue to throttle concurrency
-          if (body.startsWith(prefix)) {
-            const [cmd, ...args] = body.slice(prefix.length).trim().split(/\s+/);
+          if (matched && !banned) {
+            const [cmd, ...words] = matched.rest.trim().split(/\s+/);
+            const match = words.join(" ");
             const plugin = plugins.commands.get(cmd);
             if (plugin) {
-              enqueueTask(async () => {
-                try { await plugin.exec(msg, args.join(" ")); } catch (err) {
+              // WORK_TYPE / .mode: silently ignore commands from people the mode excludes
+              if (!allowedByMode(msg, settings.get(sessionId, "mode"))) return;
+              enqueueCommand(sessionId, msg, async () => {
+                try {
+                  // owner / sudo / groupOnly / adminOnly ... declared on Module()
+                  const denied = await checkGuards(msg, plugin);
+                  if (denied) return await msg.send(denialText(getTheme(), denied));
+                  if (isTripped(plugin, sessionId)) return await msg.send(denialText(getTheme(), "pluginDisabled"));
+                  // Module({ args }) - a bad invocation gets the usage line and costs no cooldown
+                  let args;
+                  try {
+                    args = parseArgs(plugin, match, msg);
+                  } catch (err) {
+                    if (err instanceof ArgsError) return await msg.send(argsErrorText(getTheme(), err, plugin, prefix));
+                    throw err;
+                  }
+                  const limited = await rateLimits.consume(sessionId, msg, plugin);
+                  if (limited) {
+                    if (limited.notify) await msg.send(limitText(getTheme(), limited));
+                    return;
+                  }
+                  await pluginRunner.run(plugin, (signal) => plugin.exec(msg, match, { signal, args }), { sessionId, sock });
+                } catch (err) {
                   logger.error?.({ sessionId, cmd }, `Command ${cmd} error: ${err?.message || err}`);
+                  if (err instanceof PluginTimeoutError) {
+                    await msg.send(denialText(getTheme(), "timeout")).catch(() => {});
+                    if (!isOwner(msg)) notifyOwner(sock, `⌛ *${cmd}* timed out in ${msg.from}\n> ${err.message}`);
+                  }
                 }
-              }).catch(e => logger.debug({ sessionId }, "enqueueTask command error", e?.message || e));
+              }, { priority: isPrivileged(msg) ? "high" : "normal" }).catch(e => logger.debug({ sessionId }, "enqueueTask command error", e?.message || e));
+              return;
+            }
+            // ".mneu" => "did you mean .menu?"; stays quiet when nothing is close
+            const suggestions = matched.prefix && config.COMMAND_SUGGESTIONS && /^[\p{L}\p{N}_-]+$/u.test(cmd || "") ? suggestCommands(cmd) : [];
+            if (suggestions.length && allowedByMode(msg, settings.get(sessionId, "mode"))) {
+              await msg.send(helpText(getTheme(), "didYouMean", {
+                command: prefix + cmd,
+                suggestions: suggestions.map((s) => `*${prefix}${s}*`).join(", "),
+              }));
               return;
             }
           }
@@ -351,20 +515,48 @@ async function onConnected(sessionId) {
           // text-based plugins - dispatch each plugin via enqueueTask (so heavy bursts are throttled)
           if (body) {
             for (const plugin of plugins.text) {
-              enqueueTask(async () => {
-                try { await plugin.exec(msg); } catch (err) {
-                  logger.error?.({ sessionId }, `Text plugin error: ${err?.message || err}`);
+              if (isTripped(plugin, sessionId) || (banned && !plugin.moderation)) continue;
+              enqueueTask(sessionId, async () => {
+                try {
+                  // same owner / groupOnly / ... metadata as commands, but a text plugin just stays quiet
+                  if (await checkGuards(msg, plugin)) return;
+                  await pluginRunner.run(plugin, (signal) => plugin.exec(msg, undefined, { signal }), { sessionId, sock });
+                } catch (err) {
+                  logger.error?.({ sessionId, plugin: pluginId(plugin) }, `Text plugin error: ${err?.message || err}`);
+                  if (err instanceof PluginTimeoutError) notifyOwner(sock, `⌛ text plugin ${pluginId(plugin)} timed out\n> ${err.message}`);
                 }
               }).catch(e => logger.debug({ sessionId }, "enqueueTask text plugin error", e?.message || e));
             }
           }
         } catch (err) {
           try {
-            logger.error?.({ sessionId: "unknown" }, "messages.upsert handler error", err?.message || err);
+            logger.error?.({ sessionId }, "messages.upsert handler error", err?.message || err);
           } catch {
             console.error("messages.upsert handler error:", err);
           }
         }
+      };
+
+      // messages.upsert handler (registered once per socket)
+      // Every message in the batch is handled: de-duplicated by key, chats run
+      // side by side, and messages within a chat are dispatched in arrival order.
+      // Each sender's commands also run in that order (enqueueCommand); text
+      // plugins run alongside them.
+      sock.ev.on("messages.upsert", async (upsert) => {
+        const { messages, type } = upsert || {};
+        if (!messages?.length) return;
+        const catchUp = type === "append";
+        if (type !== "notify" && !(catchUp && PROCESS_APPEND)) return;
+        const state = upsertStateOf(sessionId);
+        const now = Date.now();
+        await Promise.all(
+          messages.map((raw) => {
+            if (!raw?.message || !raw.key?.remoteJid) return null;
+            if (catchUp && (raw.key.fromMe || now - timestampMs(raw) > APPEND_MAX_AGE_MS)) return null;
+            if (!markSeen(state, raw.key)) return null;
+            return inChatOrder(state.chats, raw.key.remoteJid, () => handleMessage(raw, { catchUp }));
+          })
+        );
       });
  
 
@@ -375,6 +567,9 @@ async function onConnected(sessionId) {
   }
 }
 
+// sessionId => when it was quarantined, until the owner has been told
+const quarantinedAt = new Map();
+
 // attach manager-level events (only once)
 let eventsAttached = false;
 function attachManagerEvents() {
@@ -388,10 +583,41 @@ function attachManagerEvents() {
     } catch (e) {
       // ignore
     }
+    pluginQueue.forget(sessionId);
+    upsertState.delete(sessionId);
+    resetTrips(sessionId);
     logger.info({ sessionId, info }, "session deleted");
   });
   manager.on("connection.update", (sessionId, update) => {
     logger.debug({ sessionId, update }, "connection.update");
+    if (update?.connection) {
+      webhooks.dispatch(sessionId, "connection", {
+        connection: update.connection,
+        statusCode: update.lastDisconnect?.error?.output?.statusCode || null,
+      });
+    }
+  });
+  manager.on("loggedOut", (sessionId) => {
+    webhooks.dispatch(sessionId, "connection", { connection: "loggedOut" });
+  });
+  // quarantined: credentials kept, retries stopped until resume (POST /resume/:id or Telegram /resume)
+  manager.on("quarantined", (sessionId, info) => {
+    quarantinedAt.set(sessionId, info.at);
+    logger.warn({ sessionId, attempts: info.attempts }, "session quarantined after repeated reconnect failures");
+    webhooks.dispatch(sessionId, "connection", { connection: "quarantined", attempts: info.attempts, statusCode: info.lastStatusCode });
+  });
+  // the socket is down while quarantined, so the owner hears about it once it is back
+  manager.on("connected", (sessionId) => {
+    const at = quarantinedAt.get(sessionId);
+    if (!at) return;
+    quarantinedAt.delete(sessionId);
+    notifyOwner(
+      manager.sessions.get(sessionId)?.sock,
+      `⚠️ This session could not reach WhatsApp and was paused from ${new Date(at).toISOString()} until it was resumed just now. Your pairing was kept; messages sent in that time may have been missed.`
+    );
+  });
+  manager.on("health", (sessionId, health) => {
+    logger.info({ sessionId, health: health.state, failedPings: health.failedPings }, "session health changed");
   });
 }
 
@@ -402,7 +628,15 @@ function attachManagerEvents() {
  */
 export async function main(opts = {}) {
   attachManagerEvents();
+  // disabled plugin files are kept in the db; read them before the first load
+  await db.ready();
+  setPluginStore(db);
   await ensurePlugins();
+  if (process.env.PLUGIN_WATCH === "true") {
+    forceLoadPlugins()
+      .then(() => watchPlugins())
+      .catch((e) => logger.warn({}, "plugin watcher failed to start", e?.message || e));
+  }
   const sessionsToStart =
     Array.isArray(opts.sessions) && opts.sessions.length
       ? opts.sessions
@@ -410,6 +644,18 @@ export async function main(opts = {}) {
         ? config.sessions
         : [process.argv[2] || "bot1"];
   for (const s of sessionsToStart) manager.register(s);
+  // sessions.json doesn't survive a redeploy of an ephemeral host; a waldb/mongo
+  // store does, so every paired session in it is started too
+  if (authStore.kind !== "folder") {
+    try {
+      for (const s of await authStore.sessions()) if (await authStore.read(s, "creds")) manager.register(s);
+    } catch (e) {
+      logger.warn({ store: authStore.kind }, "listing sessions in the auth store failed", e?.message || e);
+    }
+  }
+  // pairings carried over from SESSION_ID / GIST_URL (lib/sessionString.js)
+  if (config.SESSION_ID || config.GIST_URL) await hydrateSessions({ store: authStore, manager });
   if (opts.autoStartAll !== false) await manager.startAll();
+  if (process.env.WATCHDOG !== "false") watchdog.start();
   return { manager };
 }
\ No newline at end of file
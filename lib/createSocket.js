@@ -1,18 +1,17 @@
 // createSocket.js - FIXED VERSION (updated to use per-session group cache)
 import makeWASocket, {
-  useMultiFileAuthState,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
   Browsers,
 } from "@whiskeysockets/baileys";
 import pino from "pino";
-import path from "path";
-import fs from "fs/promises";
+import { createAuthStore, useAuthState } from "./authState.js";
+
+// AUTH_STORE picks where creds live (folder, waldb, mongo); see lib/authState.js
+export const authStore = createAuthStore();
+
 export async function createSocket(sessionId) {
-  const sessionsDir = path.join(process.cwd(), "sessions");
-  await fs.mkdir(sessionsDir, { recursive: true });
-  const sessionPath = path.join(sessionsDir, sessionId);
-  const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
+  const { state, saveCreds } = await useAuthState(authStore, sessionId);
   const { version } = await fetchLatestBaileysVersion();
   console.log(
     `[${sessionId}] Creating socket with Baileys v${version.join(".")}`
@@ -454,6 +454,15 @@ delHot(sessionId, key) {
 
   // ---------- utilities ----------
   isBlocked(sessionId) { return this.blocked.has(String(sessionId)); }
+  // all keys of one session (cache + hot index), restoring from disk first
+  async entries(sessionId) {
+    const sid = String(sessionId);
+    await this._ensureSessionRestoredAndUnblocked(sid);
+    const out = Object.assign(Object.create(null), this.hotIndex.get(sid) || {});
+    const m = this.cache.get(sid);
+    if (m) for (const [k,v] of m.entries()) out[k] = v;
+    return out;
+  }
   export() {
     const out = Object.create(null);
     for (const [sid, map] of this.cache.entries()) {
@@ -0,0 +1,115 @@
+// lib/eventStream.js
+// Fan SessionManager lifecycle events out to Server-Sent Events clients.
+// Keeps a small ring buffer so a reconnecting EventSource can resume with
+// Last-Event-ID instead of missing whatever happened while it was away.
+
+const BUFFER_SIZE = Number(process.env.EVENTS_BUFFER_SIZE) || 200;
+const HEARTBEAT_MS = Number(process.env.EVENTS_HEARTBEAT_MS) || 25_000;
+
+// connection.update carries Boom errors and raw QR strings; only forward what is safe and serialisable
+function summarizeUpdate(update = {}) {
+  const { connection, lastDisconnect, isNewLogin, receivedPendingNotifications, qr } = update;
+  const out = {};
+  if (connection) out.connection = connection;
+  if (typeof isNewLogin === "boolean") out.isNewLogin = isNewLogin;
+  if (typeof receivedPendingNotifications === "boolean") out.receivedPendingNotifications = receivedPendingNotifications;
+  if (qr) out.qr = true;
+  if (lastDisconnect) {
+    out.lastDisconnect = {
+      statusCode: lastDisconnect?.error?.output?.statusCode || lastDisconnect?.statusCode || null,
+      reason:
+        lastDisconnect?.error?.output?.payload?.error ||
+        lastDisconnect?.error?.message ||
+        lastDisconnect?.reason ||
+        null,
+    };
+  }
+  return out;
+}
+
+export default class EventStream {
+  constructor(manager) {
+    this.manager = manager;
+    this.clients = new Set(); // { res, sessionId }
+    this.buffer = [];
+    this.seq = 0;
+    this._attach();
+  }
+
+  _attach() {
+    const m = this.manager;
+    m.on("connected", (sid) => this.publish("connected", sid, {}));
+    m.on("connection.update", (sid, update) => this.publish("connection.update", sid, summarizeUpdate(update)));
+    m.on("reconnecting", (sid, info) => this.publish("reconnecting", sid, info || {}));
+    m.on("session.deleted", (sid, info) => this.publish("session.deleted", sid, { reason: info?.reason ?? null }));
+    m.on("loggedOut", (sid) => this.publish("loggedOut", sid, {}));
+    m.on("quarantined", (sid, info) => this.publish("quarantined", sid, { attempts: info.attempts, lastStatusCode: info.lastStatusCode }));
+    m.on("resumed", (sid) => this.publish("resumed", sid, {}));
+    m.on("state", (sid, s) => this.publish("state", sid, { from: s.from, to: s.to, reason: s.reason }));
+    m.on("health", (sid, h) => this.publish("health", sid, { health: h.state, failedPings: h.failedPings, rttMs: h.rttMs }));
+  }
+
+  publish(event, sessionId, data) {
+    const entry = this.manager.sessions.get(sessionId);
+    const evt = {
+      id: ++this.seq,
+      event,
+      sessionId,
+      at: Date.now(),
+      status: entry?.status ?? null,
+      reconnectAttempts: entry?.reconnectAttempts ?? 0,
+      backoffMs: entry?.backoffMs ?? null,
+      ...data,
+    };
+    this.buffer.push(evt);
+    if (this.buffer.length > BUFFER_SIZE) this.buffer.shift();
+    for (const client of this.clients) this._write(client, evt);
+    return evt;
+  }
+
+  _write(client, evt) {
+    if (client.sessionId && client.sessionId !== evt.sessionId) return;
+    try {
+      client.res.write(`id: ${evt.id}\nevent: ${evt.event}\ndata: ${JSON.stringify(evt)}\n\n`);
+    } catch (e) {
+      this.clients.delete(client);
+    }
+  }
+
+  /**
+   * handle(req, res) - express handler for GET /events[?sessionId=...]
+   */
+  handle(req, res) {
+    const sessionId = req.query?.sessionId ? String(req.query.sessionId) : null;
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering (nginx)
+    res.flushHeaders?.();
+    res.write("retry: 5000\n\n");
+
+    const client = { res, sessionId };
+
+    // replay what the client missed
+    const lastId = Number(req.headers["last-event-id"] || req.query?.lastEventId || 0);
+    if (lastId > 0) {
+      for (const evt of this.buffer) if (evt.id > lastId) this._write(client, evt);
+    }
+
+    // initial state so dashboards don't have to call /sessions first
+    const snapshot = this.manager.list().filter((s) => !sessionId || s.sessionId === sessionId);
+    res.write(`event: snapshot\ndata: ${JSON.stringify({ sessions: snapshot })}\n\n`);
+
+    this.clients.add(client);
+    const heartbeat = setInterval(() => {
+      try { res.write(": ping\n\n"); } catch { }
+    }, HEARTBEAT_MS);
+    if (heartbeat.unref) heartbeat.unref();
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+  }
+}
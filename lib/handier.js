@@ -36,6 +36,39 @@ export function MediaUrls(text) {
   return false;
 }
 
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/**
+ * parseDuration("10s" | "1h30m" | "2d" | 45) => milliseconds (bare numbers are seconds).
+ * Returns null for anything it can't read.
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value * 1000 : null;
+  const s = String(value).toLowerCase().replace(/\s+/g, "");
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s) * 1000;
+  if (!/^(\d+(\.\d+)?(ms|s|m|h|d|w))+$/.test(s)) return null;
+  let total = 0;
+  for (const [, n, unit] of s.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g)) total += Number(n) * DURATION_UNITS[unit];
+  return total;
+}
+
+/**
+ * formatDuration(90_500) => "1m 31s"
+ */
+export function formatDuration(ms) {
+  let secs = Math.max(1, Math.ceil(Number(ms) / 1000));
+  const parts = [];
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (secs >= size) {
+      parts.push(`${Math.floor(secs / size)}${unit}`);
+      secs %= size;
+    }
+  }
+  if (secs || !parts.length) parts.push(`${secs}s`);
+  return parts.slice(0, 2).join(" ");
+}
+
 export default function eventlogger() {
 	['error', 'warn', 'info', 'debug', 'trace'].forEach(method => {
 		console[method] = () => {};
@@ -0,0 +1,105 @@
+// lib/help.js
+// `.help <command>` text built from Module() metadata, and "did you mean"
+// suggestions for prefixed words that aren't commands. Labels come from the
+// theme's "help" object; DEFAULT_HELP covers themes that don't have one.
+import { ensurePlugins, getAliases } from "./plugins.js";
+import { formatUsage } from "./args.js";
+import { GUARDS } from "./permissions.js";
+
+const DEFAULT_HELP = {
+  title: "📖 *{command}*",
+  description: "📝 {description}",
+  usage: "*Usage:* {usage}",
+  aliases: "*Aliases:* {aliases}",
+  permissions: "*Requires:* {permissions}",
+  examples: "*Examples:*\n{examples}",
+  package: "*Package:* {package}",
+  intro: "Send *{prefix}help <command>* to see how a command works, or *{prefix}menu* for the full list.",
+  notFound: "❓ _No command called *{command}*._",
+  didYouMean: "❓ _Unknown command *{command}*. Did you mean {suggestions}?_",
+  guards: {
+    owner: "owner or sudo",
+    ownerOnly: "bot owner",
+    sudo: "owner or sudo",
+    groupOnly: "group chat",
+    privateOnly: "private chat",
+    adminOnly: "group admin",
+    botAdminRequired: "bot is group admin",
+  },
+};
+
+function labels(theme) {
+  const themed = theme?.help || {};
+  return { ...DEFAULT_HELP, ...themed, guards: { ...DEFAULT_HELP.guards, ...themed.guards } };
+}
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] : m));
+
+// command or alias => plugin (same lookup the dispatcher uses)
+export function findCommand(name) {
+  if (!name) return null;
+  const map = ensurePlugins().commands;
+  return map.get(name) || map.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * renderHelp(plugin, { prefix, theme }) - description, usage, aliases,
+ * permissions and `examples` (strings, "{prefix}" is replaced) of one command.
+ */
+export function renderHelp(plugin, { prefix = ".", theme } = {}) {
+  const l = labels(theme);
+  const lines = [fill(l.title, { command: `${prefix}${plugin.command}` })];
+  if (plugin.description) lines.push(fill(l.description, { description: plugin.description }));
+  lines.push("", fill(l.usage, { usage: formatUsage(plugin, prefix) }));
+
+  const aliases = getAliases(plugin);
+  if (aliases.length) lines.push(fill(l.aliases, { aliases: aliases.map((a) => prefix + a).join(", ") }));
+
+  const perms = Object.keys(GUARDS).filter((g) => plugin[g]).map((g) => l.guards[g]);
+  if (perms.length) lines.push(fill(l.permissions, { permissions: perms.join(", ") }));
+  if (plugin.package) lines.push(fill(l.package, { package: plugin.package }));
+
+  const examples = [].concat(plugin.examples || []).map((e) => `• ${String(e).replace(/\{prefix\}/g, prefix)}`);
+  if (examples.length) lines.push("", fill(l.examples, { examples: examples.join("\n") }));
+  return lines.join("\n");
+}
+
+export function helpText(theme, key, values) {
+  return fill(labels(theme)[key], values);
+}
+
+function distance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const up = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = up;
+    }
+  }
+  return prev[b.length];
+}
+
+/**
+ * suggestCommands(word, limit) => command names close to `word` (aliases count
+ * as a match for their command), best first. Empty when nothing is close.
+ */
+export function suggestCommands(word, limit = 3) {
+  const input = String(word || "").toLowerCase();
+  if (!input || input.length > 32) return [];
+  const maxDist = input.length <= 3 ? 1 : input.length <= 6 ? 2 : 3;
+  const best = new Map(); // command -> score
+  for (const [name, plugin] of ensurePlugins().commands) {
+    const d = distance(input, name.toLowerCase());
+    const prefixHit = input.length >= 3 && name.toLowerCase().startsWith(input);
+    const score = prefixHit ? Math.min(d, 1) : d;
+    if (score > maxDist) continue;
+    if (!best.has(plugin.command) || score < best.get(plugin.command)) best.set(plugin.command, score);
+  }
+  return [...best.entries()]
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([command]) => command);
+}
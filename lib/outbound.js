@@ -0,0 +1,130 @@
+// lib/outbound.js
+// Send messages through a running session on behalf of other services.
+// Request bodies are mapped onto the same payload shape plugins hand to
+// MsgWrapper.send(), then normalised by buildContent().
+import { jidNormalizedUser } from "@whiskeysockets/baileys";
+import { buildContent } from "./serialize.js";
+
+const MEDIA_TYPES = ["image", "video", "audio", "document", "sticker"];
+// decoded size; the JSON body limit in index.js is derived from it
+export const MAX_BASE64_BYTES = Number(process.env.OUTBOUND_MAX_BYTES) || 16 * 1024 * 1024;
+
+// proto.WebMessageInfo.Status
+const STATUS_NAMES = ["error", "pending", "server_ack", "delivery_ack", "read", "played"];
+
+export class OutboundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "OutboundError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * toJid("919812345678") => "919812345678@s.whatsapp.net"; full JIDs pass through.
+ */
+export function toJid(value) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+  if (s.includes("@")) return s.endsWith("@g.us") || s.endsWith("@newsletter") ? s : jidNormalizedUser(s);
+  const digits = s.replace(/[^0-9]/g, "");
+  return digits ? `${digits}@s.whatsapp.net` : null;
+}
+
+// only http(s): Baileys opens any other url as a local file
+function mediaSource(body) {
+  if (body.url) {
+    try {
+      const u = new URL(String(body.url));
+      if (!/^https?:$/.test(u.protocol)) throw new Error();
+    } catch {
+      throw new OutboundError("url must be an http(s) URL");
+    }
+    return { url: String(body.url) };
+  }
+  if (body.base64) {
+    const raw = String(body.base64).replace(/^data:[^;]+;base64,/, "");
+    const buf = Buffer.from(raw, "base64");
+    if (!buf.length) throw new OutboundError("base64 payload is empty");
+    if (buf.length > MAX_BASE64_BYTES) throw new OutboundError("base64 payload too large", 413);
+    return buf;
+  }
+  throw new OutboundError(`${body.type} requires url or base64`);
+}
+
+function keyFor(jid, ref) {
+  if (!ref) return null;
+  if (typeof ref === "string") return { remoteJid: jid, id: ref, fromMe: false };
+  if (!ref.id) throw new OutboundError("message reference requires id");
+  return {
+    remoteJid: ref.remoteJid || jid,
+    id: String(ref.id),
+    fromMe: !!ref.fromMe,
+    ...(ref.participant ? { participant: toJid(ref.participant) } : {}),
+  };
+}
+
+/**
+ * buildOutbound(body) => { jid, content, options }
+ * body:
+ *  - to: number or JID (required)
+ *  - type: text | image | video | audio | document | sticker | reaction (default text)
+ *  - text / caption, url | base64, mimetype, fileName, ptt
+ *  - mentions: [number|JID]
+ *  - quoted: message id or { id, fromMe, participant, text }
+ *  - react: { emoji, key: id | { id, fromMe, participant } } (type reaction)
+ */
+export function buildOutbound(body = {}) {
+  const jid = toJid(body.to);
+  if (!jid) throw new OutboundError("'to' is required");
+  const type = String(body.type || "text").toLowerCase();
+  const mentions = Array.isArray(body.mentions) ? body.mentions.map(toJid).filter(Boolean) : undefined;
+
+  let payload;
+  if (type === "text") {
+    if (!body.text) throw new OutboundError("text is required");
+    payload = String(body.text);
+  } else if (type === "reaction") {
+    const key = keyFor(jid, body.react?.key || body.key);
+    if (!key) throw new OutboundError("reaction requires react.key");
+    payload = { react: { text: String(body.react?.emoji ?? body.emoji ?? ""), key } };
+  } else if (MEDIA_TYPES.includes(type)) {
+    const src = mediaSource({ ...body, type });
+    payload = { [type]: src };
+    if (body.caption || body.text) payload.caption = String(body.caption || body.text);
+    if (body.mimetype) payload.mimetype = String(body.mimetype);
+    if (type === "audio") payload.ptt = !!body.ptt;
+    if (type === "document") {
+      payload.mimetype = payload.mimetype || "application/octet-stream";
+      payload.fileName = String(body.fileName || "file");
+    }
+  } else {
+    throw new OutboundError(`unsupported type: ${type}`);
+  }
+
+  const content = buildContent(payload, { mentions });
+
+  // Baileys wants a full WAMessage to quote; a stub with the key is enough to render the reply
+  let quoted;
+  const qkey = type !== "reaction" ? keyFor(jid, body.quoted) : null;
+  if (qkey) quoted = { key: qkey, message: { conversation: String(body.quoted?.text || "") } };
+
+  return { jid, content, options: quoted ? { quoted } : {} };
+}
+
+/**
+ * sendOutbound(manager, sessionId, body) => { key, status, messageTimestamp }
+ */
+export async function sendOutbound(manager, sessionId, body) {
+  const entry = manager.sessions.get(sessionId);
+  if (!entry) throw new OutboundError("session not found", 404);
+  if (!entry.sock || entry.status !== "open") throw new OutboundError("session is not connected", 409);
+  const { jid, content, options } = buildOutbound(body);
+  const sent = await entry.sock.sendMessage(jid, content, options);
+  if (!sent) throw new OutboundError("send failed", 502);
+  return {
+    key: sent.key,
+    status: STATUS_NAMES[sent.status] || "pending",
+    messageTimestamp: Number(sent.messageTimestamp) || null,
+  };
+}
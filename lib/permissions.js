@@ -0,0 +1,120 @@
+// lib/permissions.js
+// Who is allowed to do what, decided in one place for the dispatcher.
+import config from "../config.js";
+
+// "+91 98123-45678", "919812345678:12@s.whatsapp.net" => "919812345678"
+export const toNumber = (jid) => String(jid || "").split("@")[0].split(":")[0].replace(/[^0-9]/g, "");
+
+// "919812345678, +44 7700 900123" => ["919812345678", "447700900123"]
+export function numberList(value) {
+  return String(value || "").split(",").map(toNumber).filter(Boolean);
+}
+
+/**
+ * isOwner(msg) - the paired number itself (messages sent from the bot account)
+ */
+export function isOwner(msg) {
+  return !!(msg?.isFromMe || msg?.fromMe);
+}
+
+// per-session list managed by .sudo, see lib/sudo.js
+let _sudoList = null;
+
+export function setSudoList(list) {
+  _sudoList = list;
+}
+
+// the sender as PN and LID: Baileys puts the other form in the *Alt key fields
+export function senderIds(msg) {
+  const key = msg?.key || {};
+  return [msg?.sender, key.participantAlt, msg?.isGroup ? null : key.remoteJidAlt].filter(Boolean);
+}
+
+/**
+ * isSudo(msg) - numbers listed in SUDO, or added to the message's session with .sudo
+ */
+export function isSudo(msg) {
+  const ids = senderIds(msg);
+  const fromEnv = numberList(config.sudo);
+  if (ids.some((id) => fromEnv.includes(toNumber(id)))) return true;
+  const sid = msg?._sessionId || msg?.sessionId;
+  return !!(sid && _sudoList?.has(sid, ids));
+}
+
+export function isPrivileged(msg) {
+  return isOwner(msg) || isSudo(msg);
+}
+
+/**
+ * allowedByMode(msg, mode) - WORK_TYPE gate applied before commands run.
+ *  - public:  everyone
+ *  - private: owner + sudo only
+ *  - groups:  everyone in groups, owner + sudo anywhere
+ *  - inbox:   everyone in private chats, owner + sudo anywhere
+ */
+export function allowedByMode(msg, mode) {
+  if (isPrivileged(msg)) return true;
+  switch (mode) {
+    case "private":
+      return false;
+    case "groups":
+      return !!msg?.isGroup;
+    case "inbox":
+      return !msg?.isGroup;
+    default:
+      return true;
+  }
+}
+
+// Module() metadata flag => theme key used for the denial reply
+// owner lets sudo users through like every other owner check; ownerOnly is for
+// the few things only the paired account itself may do (managing sudo, exporting creds)
+export const GUARDS = {
+  owner: "isfromMe",
+  ownerOnly: "isOwnerOnly",
+  sudo: "isSudo",
+  groupOnly: "isGroup",
+  privateOnly: "isPrivate",
+  adminOnly: "isAdmin",
+  botAdminRequired: "isBotAdmin",
+};
+
+// used when the active theme predates a key
+const DEFAULT_DENIALS = {
+  isfromMe: "_Only the bot owner or sudo users can use this command._",
+  isOwnerOnly: "_Only the bot owner can use this command._",
+  isSudo: "_Only the bot owner or sudo users can use this command._",
+  isGroup: "_This command is only for groups._",
+  isPrivate: "_This command only works in private chat._",
+  isAdmin: "_Only group admins or bot owner can use this command._",
+  isBotAdmin: "_Bot needs admin privileges for this command._",
+  timeout: "_⌛ That took too long and was stopped. Please try again later._",
+  pluginDisabled: "_This command is disabled for now after repeated errors._",
+};
+
+export function denialText(theme, key) {
+  return theme?.[key] || DEFAULT_DENIALS[key] || "_You can't use this command here._";
+}
+
+/**
+ * checkGuards(msg, plugin) => null when allowed, otherwise the theme key to reply with.
+ * adminOnly / botAdminRequired imply groupOnly and load group metadata once.
+ * Owners and sudo users pass owner/sudo/admin checks, only owners pass
+ * ownerOnly; botAdminRequired is about the bot and applies to everyone.
+ */
+export async function checkGuards(msg, plugin) {
+  if (!plugin) return null;
+  const privileged = isPrivileged(msg);
+  if (plugin.ownerOnly && !isOwner(msg)) return GUARDS.ownerOnly;
+  if (plugin.owner && !privileged) return GUARDS.owner;
+  if (plugin.sudo && !privileged) return GUARDS.sudo;
+
+  const needsGroup = plugin.groupOnly || plugin.adminOnly || plugin.botAdminRequired;
+  if (needsGroup && !msg?.isGroup) return GUARDS.groupOnly;
+  if (plugin.privateOnly && msg?.isGroup) return GUARDS.privateOnly;
+
+  if (needsGroup && typeof msg.loadGroupInfo === "function") await msg.loadGroupInfo();
+  if (plugin.adminOnly && !msg.isAdmin && !privileged) return GUARDS.adminOnly;
+  if (plugin.botAdminRequired && !msg.isBotAdmin) return GUARDS.botAdminRequired;
+  return null;
+}
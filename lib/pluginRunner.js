@@ -0,0 +1,77 @@
+// lib/pluginRunner.js
+// Runs plugin exec() calls with a deadline and a circuit breaker.
+//  - Module({ timeout: "3m" }) overrides the default (PLUGIN_TIMEOUT, 60s).
+//    exec receives { signal } as its last argument; the signal aborts at the
+//    deadline, and the queue slot is released even if the plugin ignores it.
+//  - A plugin that throws or times out `threshold` times within `windowMs` in
+//    one session is tripped there: onTrip() is called once and the dispatcher
+//    stops running it for that session. Other sessions keep their own count.
+import { formatDuration, parseDuration } from "./handier.js";
+import { pluginId } from "./plugins.js";
+
+export class PluginTimeoutError extends Error {
+  constructor(plugin, ms) {
+    super(`${pluginId(plugin)} timed out after ${formatDuration(ms)}`);
+    this.name = "PluginTimeoutError";
+    this.timeoutMs = ms;
+  }
+}
+
+export default class PluginRunner {
+  constructor(opts = {}) {
+    this.defaultTimeoutMs = parseDuration(opts.defaultTimeout ?? process.env.PLUGIN_TIMEOUT) || 60_000;
+    this.threshold = opts.threshold || Number(process.env.PLUGIN_BREAKER_THRESHOLD) || 5;
+    this.windowMs = parseDuration(opts.window ?? process.env.PLUGIN_BREAKER_WINDOW) || 10 * 60_000;
+    this.onTrip = opts.onTrip || (() => {});
+    this._failures = new Map(); // "sessionId:pluginId" -> [timestamps]
+  }
+
+  timeoutOf(plugin) {
+    return parseDuration(plugin?.timeout) || this.defaultTimeoutMs;
+  }
+
+  /**
+   * run(plugin, call, context?) - call(signal) starts the plugin; resolves with
+   * its result or rejects with its error / a PluginTimeoutError. `context` is
+   * handed to onTrip (session id, socket) so the right session is tripped and
+   * its owner told; failures are counted per context.sessionId.
+   */
+  async run(plugin, call, context = {}) {
+    const ms = this.timeoutOf(plugin);
+    const controller = new AbortController();
+    let timer;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new PluginTimeoutError(plugin, ms);
+        controller.abort(err);
+        reject(err);
+      }, ms);
+    });
+    try {
+      return await Promise.race([Promise.resolve().then(() => call(controller.signal)), deadline]);
+    } catch (err) {
+      this._fail(plugin, err, context);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _fail(plugin, err, context) {
+    const id = pluginId(plugin);
+    const key = `${context.sessionId ?? ""}:${id}`;
+    const now = Date.now();
+    const recent = (this._failures.get(key) || []).filter((t) => now - t < this.windowMs);
+    recent.push(now);
+    if (recent.length >= this.threshold) {
+      this._failures.delete(key);
+      try {
+        this.onTrip(plugin, { failures: recent.length, windowMs: this.windowMs, lastError: err }, context);
+      } catch (e) {
+        console.warn(`plugin breaker onTrip failed for ${id}:`, e?.message || e);
+      }
+      return;
+    }
+    this._failures.set(key, recent);
+  }
+}
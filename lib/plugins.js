@@ -3,11 +3,35 @@ import path from "path";
 import { fileURLToPath, pathToFileURL } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.join(__dirname, "..", "plugins");
 
 // --- Internal registries ---
+// Everything below is derived from `fileRegistrations` by rebuild(), so a
+// single file can be reloaded or disabled without touching the others.
 const commandMap = new Map();
 const textPlugins = [];
 const allPlugins = [];
+// name -> { plugin, kind: "command" | "alias" }, used to settle collisions
+const nameIndex = new Map();
+const collisions = [];
+
+// file -> plugins it registered, in load order (null = registered outside a plugin file)
+const fileRegistrations = new Map();
+const disabledFiles = new Set();
+// sessionId -> Map(pluginId -> { at, reason, file }): stopped by the circuit
+// breaker for that session only, until its owner resets them or the operator
+// re-enables the file
+const trippedPlugins = new Map();
+
+// where the disabled list is persisted (WalDBFast, see setPluginStore)
+const STORE_SID = "__plugins__";
+const DISABLED_KEY = "disabled";
+const TRIPPED_KEY = "tripped";
+let _store = null;
+
+let _currentFile = null;
+let _collecting = null;
+let _pluginsDir = DEFAULT_DIR;
 
 let _pluginsSnapshot = null;
 let _loadingPromise = null;
@@ -16,20 +40,204 @@ export function Module(meta) {
   return (exec) => {
     const plugin = Object.freeze({
       ...meta,
+      aliases: Array.isArray(meta.aliases) ? [...new Set(meta.aliases)] : [],
+      file: meta.file || _currentFile,
       exec,
     });
-    allPlugins.push(plugin);
-    if (plugin.command) commandMap.set(plugin.command, plugin);
-    if (plugin.on === "text") textPlugins.push(plugin);
+    if (_collecting) {
+      _collecting.push(plugin);
+      return;
+    }
+    // registered outside loadPlugins()/reloadPlugin()
+    const list = fileRegistrations.get(plugin.file) || [];
+    list.push(plugin);
+    fileRegistrations.set(plugin.file, list);
+    rebuild();
   };
 }
 
-export async function loadPlugins(dir = path.join(__dirname, "..", "plugins")) {
-  // already loaded?
-  if (allPlugins.length > 0) {
-    _pluginsSnapshot = getSnapshot();
-    return _pluginsSnapshot;
+/**
+ * A command name always beats an alias; between two of the same kind the
+ * later registration wins, as it did before aliases were indexed.
+ */
+function indexName(name, plugin, kind) {
+  const prev = nameIndex.get(name);
+  if (prev && prev.plugin !== plugin) {
+    const wins = kind === "command" || prev.kind === "alias";
+    const incoming = { command: plugin.command, kind, file: plugin.file };
+    const existing = { command: prev.plugin.command, kind: prev.kind, file: prev.plugin.file };
+    collisions.push({ name, winner: wins ? incoming : existing, loser: wins ? existing : incoming });
+    if (!wins) return;
   }
+  nameIndex.set(name, { plugin, kind });
+  commandMap.set(name, plugin);
+}
+
+// rebuild the derived registries from fileRegistrations, skipping disabled files.
+// allPlugins/textPlugins are mutated in place: `commands` below is a live alias.
+function rebuild() {
+  commandMap.clear();
+  nameIndex.clear();
+  collisions.length = 0;
+  allPlugins.length = 0;
+  textPlugins.length = 0;
+
+  for (const [file, plugins] of fileRegistrations) {
+    if (file && disabledFiles.has(file)) continue;
+    for (const plugin of plugins) {
+      allPlugins.push(plugin);
+      if (plugin.command) {
+        indexName(plugin.command, plugin, "command");
+        for (const alias of plugin.aliases) {
+          if (alias && alias !== plugin.command) indexName(alias, plugin, "alias");
+        }
+      }
+      if (plugin.on === "text") textPlugins.push(plugin);
+    }
+  }
+
+  if (_pluginsSnapshot) _pluginsSnapshot = getSnapshot();
+}
+
+function describe(entry) {
+  const what = entry.kind === "alias" ? `alias of ${entry.command}` : "command";
+  return `${what} in ${entry.file || "?"}`;
+}
+
+function reportCollisions(file = null) {
+  for (const c of collisions) {
+    if (file && c.winner.file !== file && c.loser.file !== file) continue;
+    console.warn(
+      `⚠️ command "${c.name}": ${describe(c.winner)} wins over ${describe(c.loser)}`
+    );
+  }
+}
+
+/**
+ * getCollisions() - names claimed by more than one plugin, with the winner
+ */
+export function getCollisions() {
+  return collisions.map((c) => ({ ...c }));
+}
+
+/**
+ * getAliases(plugin) - aliases of `plugin` that actually resolve to it
+ */
+export function getAliases(plugin) {
+  return (plugin?.aliases || []).filter((a) => commandMap.get(a) === plugin);
+}
+
+/**
+ * setPluginStore(db) - persist the disabled-file list in WalDBFast.
+ * Call before plugins load so disabled files stay disabled across restarts.
+ */
+export function setPluginStore(db) {
+  _store = db || null;
+  if (!_store) return;
+  try {
+    const saved = _store.get(STORE_SID, DISABLED_KEY, []) || [];
+    disabledFiles.clear();
+    for (const file of saved) disabledFiles.add(file);
+    trippedPlugins.clear();
+    for (const [sid, byId] of Object.entries(_store.get(STORE_SID, TRIPPED_KEY, {}) || {})) {
+      trippedPlugins.set(sid, new Map(Object.entries(byId || {})));
+    }
+    rebuild();
+  } catch (err) {
+    console.warn("plugins: failed to read disabled list:", err?.message || err);
+  }
+}
+
+function saveDisabled() {
+  if (!_store) return;
+  try {
+    _store.setHot(STORE_SID, DISABLED_KEY, [...disabledFiles]);
+    const tripped = {};
+    for (const [sid, byId] of trippedPlugins) if (byId.size) tripped[sid] = Object.fromEntries(byId);
+    _store.setHot(STORE_SID, TRIPPED_KEY, tripped);
+  } catch (err) {
+    console.warn("plugins: failed to save disabled list:", err?.message || err);
+  }
+}
+
+// stable name for breaker bookkeeping: the command, or file#event for listeners
+export function pluginId(plugin) {
+  if (plugin?.command) return plugin.command;
+  return `${plugin?.file || "?"}#${plugin?.on || "plugin"}`;
+}
+
+export function isTripped(plugin, sessionId) {
+  return !!trippedPlugins.get(String(sessionId))?.has(pluginId(plugin));
+}
+
+/**
+ * tripPlugin(plugin, reason, sessionId) - stop dispatching one plugin in one
+ * session (circuit breaker). It stays registered and listed; resetTrips() or
+ * setPluginEnabled() brings it back.
+ */
+export function tripPlugin(plugin, reason = "", sessionId) {
+  const sid = String(sessionId);
+  if (!trippedPlugins.has(sid)) trippedPlugins.set(sid, new Map());
+  trippedPlugins.get(sid).set(pluginId(plugin), { at: Date.now(), reason: String(reason).slice(0, 200), file: plugin?.file || null });
+  saveDisabled();
+}
+
+/**
+ * resetTrips(sessionId, id?) - undo the breaker for one plugin id in one
+ * session, or for all of them. Returns the ids that were reset.
+ */
+export function resetTrips(sessionId, id) {
+  const byId = trippedPlugins.get(String(sessionId));
+  if (!byId) return [];
+  const ids = id ? [String(id).trim()].filter((i) => byId.has(i)) : [...byId.keys()];
+  for (const i of ids) byId.delete(i);
+  if (!byId.size) trippedPlugins.delete(String(sessionId));
+  if (ids.length) saveDisabled();
+  return ids;
+}
+
+// plugin ids tripped in `sessionId`, or in any session
+function trippedIds(sessionId) {
+  if (sessionId != null) return new Set(trippedPlugins.get(String(sessionId))?.keys() || []);
+  return new Set([...trippedPlugins.values()].flatMap((byId) => [...byId.keys()]));
+}
+
+// "group", "group.js", "plugins/group.js" => "group.js"; rejects anything outside the plugins dir
+function resolveFile(name) {
+  let file = path.basename(String(name || "").trim());
+  if (!file) throw new Error("plugin file required");
+  if (!file.endsWith(".js")) file += ".js";
+  const filePath = path.join(_pluginsDir, file);
+  if (!fs.existsSync(filePath)) throw new Error(`plugin not found: ${file}`);
+  return { file, filePath };
+}
+
+// import one file and collect what it registers; ?v= busts the ESM cache on reloads.
+// Imports run one at a time because Module() attributes registrations to _currentFile.
+let _importChain = Promise.resolve();
+function importFile(file, filePath, bust = false) {
+  const run = async () => {
+    const url = pathToFileURL(filePath);
+    if (bust) url.searchParams.set("v", String(Date.now()));
+    _currentFile = file;
+    _collecting = [];
+    try {
+      await import(url.href);
+      return _collecting;
+    } finally {
+      _currentFile = null;
+      _collecting = null;
+    }
+  };
+  const result = _importChain.then(run, run);
+  _importChain = result.catch(() => {});
+  return result;
+}
+
+export async function loadPlugins(dir = DEFAULT_DIR) {
+  // already loaded?
+  if (_pluginsSnapshot) return _pluginsSnapshot;
+  _pluginsDir = dir;
 
   let files = [];
   try {
@@ -47,21 +255,114 @@ export async function loadPlugins(dir = path.join(__dirname, "..", "plugins")) {
   for (const file of files) {
     if (!file.endsWith(".js")) continue;
     try {
-      const filePath = path.join(dir, file);
-      await import(pathToFileURL(filePath));
-      console.log(`✅ plugin loaded: ${file}`);
+      const registered = await importFile(file, path.join(dir, file));
+      fileRegistrations.set(file, registered);
+      console.log(`✅ plugin loaded: ${file}${disabledFiles.has(file) ? " (disabled)" : ""}`);
     } catch (err) {
       console.error(`❌ plugin error (${file}):`, err?.message || err);
     }
   }
 
-  console.log(`📦 Commands: ${commandMap.size}`);
+  rebuild();
+  reportCollisions();
+
+  const aliasCount = [...nameIndex.values()].filter((e) => e.kind === "alias").length;
+  console.log(`📦 Commands: ${commandMap.size - aliasCount} (+${aliasCount} aliases)`);
   console.log(`📦 Text plugins: ${textPlugins.length}`);
 
   _pluginsSnapshot = getSnapshot();
   return _pluginsSnapshot;
 }
 
+/**
+ * reloadPlugin(name) - re-import one plugin file and swap in its registrations.
+ * If the new version fails to import the old registrations stay active.
+ * Only the plugin file itself is re-evaluated; modules it imports stay cached,
+ * and every reload keeps the previous module instance alive in Node's cache.
+ */
+export async function reloadPlugin(name) {
+  const { file, filePath } = resolveFile(name);
+  const before = fileRegistrations.get(file) || [];
+  const registered = await importFile(file, filePath, true);
+  fileRegistrations.set(file, registered);
+  rebuild();
+  reportCollisions(file);
+  console.log(`♻️ plugin reloaded: ${file} (${registered.length} registrations, was ${before.length})`);
+  return pluginInfo(file);
+}
+
+/**
+ * setPluginEnabled(name, enabled) - take a whole file out of (or back into)
+ * the registries of every session without unloading it. Enabling also resets
+ * the breaker for the file's plugins in every session; `name` may be a tripped
+ * plugin id ("song") to reset just that one.
+ */
+export function setPluginEnabled(name, enabled) {
+  const id = String(name || "").trim();
+  const tripped = enabled && [...trippedPlugins.values()].map((byId) => byId.get(id)).find(Boolean);
+  if (tripped) {
+    for (const sid of [...trippedPlugins.keys()]) resetTrips(sid, id);
+    return pluginInfo(tripped.file);
+  }
+  const { file } = resolveFile(name);
+  if (enabled) {
+    disabledFiles.delete(file);
+    const ids = new Set((fileRegistrations.get(file) || []).map(pluginId));
+    for (const byId of trippedPlugins.values()) for (const i of ids) byId.delete(i);
+  } else disabledFiles.add(file);
+  saveDisabled();
+  rebuild();
+  return pluginInfo(file);
+}
+
+function pluginInfo(file, sessionId) {
+  const plugins = fileRegistrations.get(file) || [];
+  const tripped = trippedIds(sessionId);
+  return {
+    file,
+    enabled: !disabledFiles.has(file),
+    loaded: fileRegistrations.has(file),
+    commands: plugins.filter((p) => p.command).map((p) => p.command),
+    events: [...new Set(plugins.filter((p) => p.on).map((p) => p.on))],
+    tripped: [...new Set(plugins.map(pluginId).filter((id) => tripped.has(id)))],
+  };
+}
+
+/**
+ * listPluginFiles(sessionId?) - every loaded (or disabled) plugin file with its
+ * commands; `tripped` lists the breaker trips of that session, or of any session
+ */
+export function listPluginFiles(sessionId) {
+  const files = new Set([...fileRegistrations.keys()].filter(Boolean));
+  for (const file of disabledFiles) files.add(file);
+  return [...files].sort().map((file) => pluginInfo(file, sessionId));
+}
+
+/**
+ * watchPlugins(dir) - reload plugin files as they change on disk.
+ * Returns the fs.FSWatcher (call .close() to stop).
+ */
+export function watchPlugins(dir = _pluginsDir, { debounceMs = 300 } = {}) {
+  const timers = new Map();
+  const watcher = fs.watch(dir, (event, filename) => {
+    if (!filename || !filename.endsWith(".js")) return;
+    clearTimeout(timers.get(filename));
+    timers.set(
+      filename,
+      setTimeout(() => {
+        timers.delete(filename);
+        if (!fs.existsSync(path.join(dir, filename))) return;
+        reloadPlugin(filename).catch((err) =>
+          console.error(`❌ plugin reload failed (${filename}):`, err?.message || err)
+        );
+      }, debounceMs)
+    );
+  });
+  watcher.on("error", (err) => console.warn("plugins: watcher error:", err?.message || err));
+  console.log(`👀 watching plugins in ${dir}`);
+  return watcher;
+}
+
 function getSnapshot() {
   return {
     commands: new Map(commandMap),
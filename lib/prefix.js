@@ -0,0 +1,73 @@
+// lib/prefix.js
+// Command prefixes per session ("prefix" setting) with an optional per-chat
+// override ("chatprefix"), both set by .setprefix. A set is a list such as
+// [".", "!", "/"]; "" in the list lets the owner and sudo users type commands
+// without one.
+// Sessions that never set one use PREFIX from config (space separated).
+import config from "../config.js";
+
+const MAX_PREFIXES = 5;
+const MAX_LENGTH = 3;
+const NONE_WORDS = ["none", "empty", "noprefix", "''", '""'];
+
+/**
+ * parsePrefixes(". ! none") => [".", "!", ""]. Throws on anything unusable;
+ * at least one real prefix is required so everyone else can still run commands.
+ */
+export function parsePrefixes(input) {
+  const words = Array.isArray(input) ? input : String(input ?? "").trim().split(/\s+/).filter(Boolean);
+  const out = [];
+  for (const w of words) {
+    const p = NONE_WORDS.includes(String(w).toLowerCase()) ? "" : String(w);
+    if (p.length > MAX_LENGTH) throw new Error(`prefix "${p}" is longer than ${MAX_LENGTH} characters`);
+    if (/[\p{L}\p{N}\s]/u.test(p)) throw new Error(`prefix "${p}" can't contain letters, digits or spaces`);
+    if (!out.includes(p)) out.push(p);
+  }
+  if (!out.some(Boolean)) throw new Error("give at least one prefix besides none");
+  if (out.length > MAX_PREFIXES) throw new Error(`at most ${MAX_PREFIXES} prefixes`);
+  return out;
+}
+
+export const DEFAULT_PREFIXES = (() => {
+  try {
+    return parsePrefixes(config.prefix || ".");
+  } catch (e) {
+    console.warn(`PREFIX ignored (${e.message}), using "."`);
+    return ["."];
+  }
+})();
+
+/**
+ * prefixesFor(settings, source, chatJid?) - the set that applies in a chat:
+ * the chat override, else the session's, else DEFAULT_PREFIXES.
+ */
+export function prefixesFor(settings, source, chatJid) {
+  const chat = chatJid ?? source?.from;
+  const own = chat ? settings.get(source, "chatprefix", chat) : null;
+  const session = settings.get(source, "prefix");
+  for (const set of [own, session]) if (Array.isArray(set) && set.some(Boolean)) return set;
+  return DEFAULT_PREFIXES;
+}
+
+// the prefix to show in menus and help text
+export function primaryPrefix(prefixes) {
+  return (prefixes || DEFAULT_PREFIXES).find(Boolean) ?? ".";
+}
+
+// [".", "!", ""] => ". ! (none)"
+export function formatPrefixes(prefixes) {
+  return prefixes.map((p) => p || "(none)").join(" ");
+}
+
+/**
+ * matchPrefix(body, prefixes) => { prefix, rest } using the longest matching
+ * prefix, or null. The empty prefix is not considered here; the dispatcher
+ * only allows bare commands for owner and sudo users.
+ */
+export function matchPrefix(body, prefixes) {
+  let best = null;
+  for (const p of prefixes) {
+    if (p && body.startsWith(p) && (!best || p.length > best.length)) best = p;
+  }
+  return best === null ? null : { prefix: best, rest: body.slice(best.length) };
+}
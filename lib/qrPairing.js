@@ -0,0 +1,162 @@
+// lib/qrPairing.js
+// QR-code pairing alongside requestPairingCode.
+// Baileys rotates the QR every ~20s while a socket is unpaired; we keep the
+// latest one per session, hand it to whoever is waiting, and tear the
+// half-created session down if nobody scans it in time.
+import QRCode from "qrcode";
+
+const QR_WAIT_MS = Number(process.env.QR_WAIT_MS) || 20_000; // wait for the first QR of a request
+const QR_SESSION_TIMEOUT_MS = Number(process.env.QR_SESSION_TIMEOUT_MS) || 120_000; // give up pairing after this
+
+export const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * renderQr(qr, format) - format: "png" | "svg" | "dataurl"
+ */
+export async function renderQr(qr, format = "png") {
+  if (format === "svg") return QRCode.toString(qr, { type: "svg", margin: 2 });
+  if (format === "dataurl") return QRCode.toDataURL(qr, { margin: 2 });
+  return QRCode.toBuffer(qr, { type: "png", margin: 2, width: 512 });
+}
+
+export default class QrPairing {
+  constructor(manager, opts = {}) {
+    this.manager = manager;
+    this.waitMs = opts.waitMs || QR_WAIT_MS;
+    this.sessionTimeoutMs = opts.sessionTimeoutMs || QR_SESSION_TIMEOUT_MS;
+    this.states = new Map(); // sessionId => { qr, generatedAt, refreshCount, expiresAt, status, waiters, timer, listeners }
+    manager.on("connection.update", (sid, update) => this._onUpdate(sid, update));
+    manager.on("session.deleted", (sid) => this._finish(sid, "deleted"));
+  }
+
+  _state(sessionId) {
+    let st = this.states.get(sessionId);
+    if (!st) {
+      st = {
+        qr: null,
+        generatedAt: null,
+        refreshCount: 0,
+        expiresAt: Date.now() + this.sessionTimeoutMs,
+        status: "pending",
+        waiters: new Set(),
+        listeners: new Set(),
+        timer: null,
+      };
+      st.timer = setTimeout(() => this._expire(sessionId), this.sessionTimeoutMs);
+      if (st.timer.unref) st.timer.unref();
+      this.states.set(sessionId, st);
+    }
+    return st;
+  }
+
+  snapshot(sessionId) {
+    const st = this.states.get(sessionId);
+    if (!st) return null;
+    return {
+      sessionId,
+      status: st.status,
+      qr: st.qr,
+      generatedAt: st.generatedAt,
+      refreshCount: st.refreshCount,
+      expiresAt: st.expiresAt,
+    };
+  }
+
+  _onUpdate(sessionId, update = {}) {
+    const st = this.states.get(sessionId);
+    if (!st) return;
+    if (update.qr) {
+      st.qr = update.qr;
+      st.generatedAt = Date.now();
+      st.refreshCount++;
+      const snap = this.snapshot(sessionId);
+      for (const w of st.waiters) w.resolve(snap);
+      st.waiters.clear();
+      for (const fn of st.listeners) {
+        try { fn(snap); } catch { }
+      }
+    }
+    if (update.connection === "open") this._finish(sessionId, "open");
+  }
+
+  _finish(sessionId, status, err) {
+    const st = this.states.get(sessionId);
+    if (!st) return;
+    clearTimeout(st.timer);
+    st.status = status;
+    st.qr = null;
+    const snap = this.snapshot(sessionId);
+    for (const w of st.waiters) err ? w.reject(err) : w.resolve(snap);
+    st.waiters.clear();
+    for (const fn of st.listeners) {
+      try { fn(snap); } catch { }
+    }
+    st.listeners.clear();
+    this.states.delete(sessionId);
+  }
+
+  // what is saved, not the socket: after a scan Baileys closes with restartRequired
+  // and there is no socket until the manager reconnects
+  async _pairedInStore(sessionId) {
+    try {
+      const creds = await this.manager.authStore?.read(sessionId, "creds");
+      return !!(creds?.registered || creds?.me);
+    } catch {
+      return false;
+    }
+  }
+
+  async _expire(sessionId) {
+    const entry = this.manager.sessions.get(sessionId);
+    const registered = !!entry?.sock?.authState?.creds?.registered || (await this._pairedInStore(sessionId));
+    this._finish(sessionId, "expired", new Error("QR pairing timed out"));
+    // only tear down sessions that never finished pairing
+    if (!registered && entry?.status !== "open") {
+      await this.manager.logout(sessionId).catch((e) =>
+        console.warn(`[${sessionId}] qr cleanup failed`, e?.message || e)
+      );
+    }
+  }
+
+  /**
+   * request(sessionId) - start (or join) a QR pairing and resolve with the
+   * current QR, waiting up to waitMs for the first one.
+   * Resolves { status: "paired" } if the session already has credentials.
+   */
+  async request(sessionId) {
+    if (!SESSION_ID_RE.test(String(sessionId))) throw new Error("invalid session id");
+    const existing = this.manager.sessions.get(sessionId);
+    if (existing?.sock?.authState?.creds?.registered) return { sessionId, status: "paired" };
+
+    const st = this._state(sessionId);
+    const sock = await this.manager.start(sessionId);
+    if (sock?.authState?.creds?.registered) {
+      this._finish(sessionId, "paired");
+      return { sessionId, status: "paired" };
+    }
+    if (st.qr) return this.snapshot(sessionId);
+
+    return new Promise((resolve, reject) => {
+      const w = {
+        resolve: (v) => { clearTimeout(w.timer); resolve(v); },
+        reject: (e) => { clearTimeout(w.timer); reject(e); },
+        timer: setTimeout(() => {
+          st.waiters.delete(w);
+          reject(new Error("Timed out waiting for QR code"));
+        }, this.waitMs),
+      };
+      st.waiters.add(w);
+    });
+  }
+
+  /**
+   * onRefresh(sessionId, fn) - called with every new QR and once more when
+   * pairing ends (status open/expired/deleted). Returns an unsubscribe fn.
+   */
+  onRefresh(sessionId, fn) {
+    const st = this.states.get(sessionId);
+    if (!st) return () => { };
+    st.listeners.add(fn);
+    return () => st.listeners.delete(fn);
+  }
+}
@@ -0,0 +1,153 @@
+// lib/rateLimit.js
+// Cooldowns and daily quotas declared on Module() metadata:
+//   cooldown:   "10s" | 30 | { user: "10s", chat: "5s", command: "2s" }
+//   dailyLimit: 20 | { user: 20, chat: 100, command: 500 }
+// A bare value applies per user. "command" limits are shared by everyone on the
+// session. State is kept per session in WalDBFast so it survives restarts.
+import { formatDuration, parseDuration } from "./handier.js";
+import { isPrivileged, toNumber } from "./permissions.js";
+
+const STATE_KEY = "ratelimit";
+const SAVE_DELAY_MS = 2_000;
+const SCOPES = ["user", "chat", "command"];
+
+const today = (now) => new Date(now).toISOString().slice(0, 10);
+const nextMidnight = (now) => {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+};
+
+// normalise the metadata into [{ scope, ms }] / [{ scope, max }]
+function rulesOf(plugin) {
+  const out = { cooldown: [], daily: [] };
+  const cd = plugin?.cooldown;
+  const cdSpec = cd && typeof cd === "object" ? cd : cd != null ? { user: cd } : {};
+  for (const scope of SCOPES) {
+    const ms = parseDuration(cdSpec[scope]);
+    if (ms) out.cooldown.push({ scope, ms });
+  }
+  const dl = plugin?.dailyLimit;
+  const dlSpec = dl && typeof dl === "object" ? dl : dl != null ? { user: dl } : {};
+  for (const scope of SCOPES) {
+    const max = Number(dlSpec[scope]);
+    if (Number.isFinite(max) && max > 0) out.daily.push({ scope, max: Math.floor(max) });
+  }
+  return out;
+}
+
+const DEFAULT_TEXT = {
+  cooldown: "_⏳ Slow down! Try again in {time}._",
+  dailyLimit: "_You've used this command as often as allowed today. Try again in {time}._",
+};
+
+// theme-driven refusal text; {time} becomes "42s" / "3h 10m"
+export function limitText(theme, limited) {
+  const template = theme?.[limited.reason] || DEFAULT_TEXT[limited.reason];
+  return template.replace("{time}", formatDuration(limited.retryMs));
+}
+
+function subjectOf(msg, scope) {
+  if (scope === "user") return toNumber(msg.sender) || String(msg.sender || "");
+  if (scope === "chat") return String(msg.from || "");
+  return "*";
+}
+
+export default class RateLimiter {
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+    this._state = new Map(); // sid -> { "<cmd>|<scope>|<subject>": { until, day, count } }
+    this._timers = new Map();
+    this._warned = new Map(); // entry key -> until; reply once per window
+  }
+
+  async _load(sid) {
+    let state = this._state.get(sid);
+    if (state) return state;
+    state = { ...((await this.db.getAsync(sid, STATE_KEY, {})) || {}) };
+    // another caller may have loaded it while we waited
+    if (!this._state.has(sid)) this._state.set(sid, state);
+    return this._state.get(sid);
+  }
+
+  _save(sid) {
+    if (this._timers.has(sid)) return;
+    const t = setTimeout(() => {
+      this._timers.delete(sid);
+      const state = this._state.get(sid);
+      if (!state || this.db.isBlocked?.(sid)) return;
+      this._prune(state, Date.now());
+      this.db.set(sid, STATE_KEY, state).catch((e) =>
+        console.warn(`[${sid}] rate limit save failed:`, e?.message || e)
+      );
+    }, SAVE_DELAY_MS);
+    if (t.unref) t.unref();
+    this._timers.set(sid, t);
+  }
+
+  _prune(state, now) {
+    const day = today(now);
+    for (const [key, entry] of Object.entries(state)) {
+      const cooling = entry.until && entry.until > now;
+      const counting = entry.day === day;
+      if (!cooling && !counting) delete state[key];
+    }
+  }
+
+  /**
+   * consume(sessionId, msg, plugin) => null when the command may run (and the
+   * use is recorded), otherwise { reason: "cooldown" | "dailyLimit", retryMs, notify }.
+   * `notify` is false after the first refusal in a window so spammers get one reply.
+   */
+  async consume(sessionId, msg, plugin) {
+    const rules = rulesOf(plugin);
+    if (!rules.cooldown.length && !rules.daily.length) return null;
+    if (isPrivileged(msg)) return null;
+
+    const sid = String(sessionId);
+    const state = await this._load(sid);
+    const now = Date.now();
+    const day = today(now);
+    const cmd = plugin.command;
+    const keyOf = (scope) => `${cmd}|${scope}|${subjectOf(msg, scope)}`;
+
+    let denial = null;
+    for (const { scope } of rules.cooldown) {
+      const until = state[keyOf(scope)]?.until || 0;
+      if (until > now && (!denial || until - now > denial.retryMs)) {
+        denial = { reason: "cooldown", retryMs: until - now, key: keyOf(scope), until };
+      }
+    }
+    for (const { scope, max } of rules.daily) {
+      const entry = state[keyOf(scope)];
+      if (entry?.day === day && entry.count >= max) {
+        const until = nextMidnight(now);
+        if (!denial || until - now > denial.retryMs) {
+          denial = { reason: "dailyLimit", retryMs: until - now, key: keyOf(scope), until };
+        }
+      }
+    }
+
+    if (denial) {
+      const warnKey = `${sid}|${denial.key}|${denial.reason}`;
+      const notify = (this._warned.get(warnKey) || 0) < now;
+      if (notify) this._warned.set(warnKey, denial.until);
+      if (this._warned.size > 5_000) {
+        for (const [k, until] of this._warned) if (until < now) this._warned.delete(k);
+      }
+      return { reason: denial.reason, retryMs: denial.retryMs, notify };
+    }
+
+    for (const { scope, ms } of rules.cooldown) {
+      const key = keyOf(scope);
+      state[key] = { ...state[key], until: now + ms };
+    }
+    for (const { scope } of rules.daily) {
+      const key = keyOf(scope);
+      const entry = state[key];
+      state[key] = { ...entry, day, count: entry?.day === day ? entry.count + 1 : 1 };
+    }
+    this._save(sid);
+    return null;
+  }
+}
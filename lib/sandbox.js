@@ -0,0 +1,180 @@
+// lib/sandbox.js
+// Evaluator for the owner's `>` snippets (plugins/eval.js).
+// Each snippet runs in its own worker thread (lib/sandboxWorker.js) inside a
+// vm context, with:
+//  - a time limit (EVAL_TIMEOUT, default 10s) after which the worker is killed
+//  - a heap limit (EVAL_MEMORY_MB, default 64)
+//  - an empty environment, so tokens and URIs from config.env aren't readable
+//  - no worker objects inside the context (see lib/sandboxWorker.js), so no
+//    way back to `process`, the file system or the network
+//  - only `message`, `conn` and `db` to work with: calls on them are carried
+//    out here, against the sender's session only, and only for the methods
+//    allowlisted below: lookups, and replies to the chat the snippet was sent in
+//  - db keys of its own (under "eval:db:"), so a snippet can't touch the audit
+//    log, sudo list, bans, webhooks or settings of the session
+// Every run is appended to a per-session audit log.
+import { Worker } from "worker_threads";
+import util from "util";
+import { formatDuration, parseDuration } from "./handier.js";
+
+const AUDIT_KEY = "eval:audit";
+const AUDIT_LIMIT = Number(process.env.EVAL_AUDIT_LIMIT) || 200;
+const DB_PREFIX = "eval:db:";
+const DB_METHODS = ["get", "set", "del", "keys"];
+// MsgWrapper methods that read, or answer in the message's own chat
+const MESSAGE_METHODS = [
+  "send", "reply", "sendReply", "sendreply", "react", "download", "getRaw",
+  "loadGroupInfo", "getParticipants", "isParticipant", "fetchStatus", "profilePictureUrl",
+  "getLID", "getPN", "isPnUser", "isLidUser", "areJidsSame", "botJid", "botnum", "getInviteInfo",
+];
+// socket methods: method => check on the arguments (null = lookup, always fine).
+// Anything else (groupLeave, updateBlockStatus, logout...) stays on the main thread.
+const sameChat = (api, jid) => !!jid && jid === api.message?.from;
+const CONN_METHODS = {
+  groupMetadata: null,
+  profilePictureUrl: null,
+  fetchStatus: null,
+  onWhatsApp: null,
+  getBusinessProfile: null,
+  groupGetInviteInfo: null,
+  sendMessage: (api, [jid]) => sameChat(api, jid),
+  sendPresenceUpdate: (api, [, jid]) => sameChat(api, jid),
+};
+
+// the parts of a MsgWrapper that can be copied into the worker
+function messageData(msg) {
+  return {
+    id: msg?.id,
+    from: msg?.from,
+    sender: msg?.sender,
+    pushName: msg?.pushName,
+    isGroup: !!msg?.isGroup,
+    fromMe: !!msg?.fromMe,
+    type: msg?.type,
+    body: msg?.body,
+    mentions: msg?.mentions || [],
+    quoted: msg?.quoted
+      ? { id: msg.quoted.id, sender: msg.quoted.participant, type: msg.quoted.type, body: msg.quoted.body ?? msg.quoted.text ?? null }
+      : null,
+  };
+}
+
+export default class Evaluator {
+  /**
+   * opts: db (required), timeout ("10s"), memoryMb (64), maxOutput (chars, 4000)
+   */
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+    this.timeoutMs = parseDuration(opts.timeout ?? process.env.EVAL_TIMEOUT) || 10_000;
+    this.memoryMb = opts.memoryMb || Number(process.env.EVAL_MEMORY_MB) || 64;
+    this.maxOutput = opts.maxOutput || Number(process.env.EVAL_MAX_OUTPUT) || 4000;
+  }
+
+  /**
+   * run(code, { message, sessionId, by, signal }) => { ok, output, error, ms }
+   * Never throws; failures come back as { ok: false, error }.
+   */
+  async run(code, { message, sessionId, by, signal } = {}) {
+    const started = Date.now();
+    const sid = String(sessionId || message?._sessionId || "");
+    const api = { message, conn: message?.conn, sid };
+
+    const result = await new Promise((resolve) => {
+      let settled = false;
+      const finish = (out) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener?.("abort", onAbort);
+        worker.terminate().catch(() => {});
+        resolve(out);
+      };
+
+      const worker = new Worker(new URL("./sandboxWorker.js", import.meta.url), {
+        workerData: { code, message: messageData(message), user: message?.conn?.user || null, timeoutMs: this.timeoutMs },
+        resourceLimits: { maxOldGenerationSizeMb: this.memoryMb, maxYoungGenerationSizeMb: Math.min(16, this.memoryMb), stackSizeMb: 4 },
+        env: {},
+      });
+
+      const timer = setTimeout(
+        () => finish({ ok: false, output: "", error: `timed out after ${formatDuration(this.timeoutMs)}` }),
+        this.timeoutMs
+      );
+      const onAbort = () => finish({ ok: false, output: "", error: "stopped" });
+      signal?.addEventListener?.("abort", onAbort, { once: true });
+
+      worker.on("message", async (m) => {
+        if (m?.type === "done") return finish({ ok: m.ok, output: m.output, error: m.error });
+        if (m?.type !== "call") return;
+        let reply;
+        try {
+          reply = { id: m.id, ok: true, value: await this._call(api, m) };
+        } catch (e) {
+          reply = { id: m.id, ok: false, error: e?.message || String(e) };
+        }
+        if (settled) return;
+        try {
+          worker.postMessage(reply);
+        } catch {
+          // not cloneable (protobuf objects, sockets...): send a printout instead
+          worker.postMessage({ ...reply, value: util.inspect(reply.value, { depth: 2 }) });
+        }
+      });
+      worker.on("error", (e) => {
+        const error = e?.code === "ERR_WORKER_OUT_OF_MEMORY" ? `memory limit (${this.memoryMb} MB) exceeded` : e?.message || String(e);
+        finish({ ok: false, output: "", error });
+      });
+      worker.on("exit", () => finish({ ok: false, output: "", error: "evaluator exited" }));
+    });
+
+    result.output = this._truncate(result.output || "");
+    result.ms = Date.now() - started;
+    this._audit(sid, { by, code, ok: result.ok, ms: result.ms, error: result.error || null });
+    return result;
+  }
+
+  // carry out a message/conn/db call from the worker against this session only
+  async _call(api, { target, method, args = [] }) {
+    if (target === "db") {
+      if (!DB_METHODS.includes(method)) throw new Error(`db.${method} is not available (use ${DB_METHODS.join(", ")})`);
+      if (method === "keys") {
+        const keys = Object.keys((await this.db.entries(api.sid)) || {});
+        return keys.filter((k) => k.startsWith(DB_PREFIX)).map((k) => k.slice(DB_PREFIX.length));
+      }
+      if (typeof args[0] !== "string" || !args[0]) throw new Error(`db.${method} needs a key`);
+      const key = DB_PREFIX + args[0];
+      if (method === "get") return await this.db.getAsync(api.sid, key, args[1]);
+      if (method === "set") return void (await this.db.set(api.sid, key, args[1]));
+      return void (await this.db.del(api.sid, key));
+    }
+    const obj = target === "conn" ? api.conn : target === "message" ? api.message : null;
+    if (target === "conn") {
+      if (!Object.hasOwn(CONN_METHODS, method)) throw new Error(`conn.${method} is not available in eval`);
+      const check = CONN_METHODS[method];
+      if (check && !check(api, args)) throw new Error(`conn.${method} only works on this chat in eval`);
+    } else if (!MESSAGE_METHODS.includes(method)) {
+      throw new Error(`message.${method} is not available in eval`);
+    }
+    if (typeof obj?.[method] !== "function") throw new Error(`${target}.${method} is not a function`);
+    return await obj[method](...args);
+  }
+
+  _truncate(text) {
+    if (text.length <= this.maxOutput) return text;
+    return `${text.slice(0, this.maxOutput)}\n… (${text.length - this.maxOutput} more characters)`;
+  }
+
+  _audit(sid, entry) {
+    if (!sid) return;
+    const list = this.db.get(sid, AUDIT_KEY, []) || [];
+    const record = { at: Date.now(), ...entry, code: String(entry.code).slice(0, 2000) };
+    this.db.set(sid, AUDIT_KEY, [...list, record].slice(-AUDIT_LIMIT)).catch((e) => console.warn("eval audit write failed", e?.message || e));
+  }
+
+  // most recent runs first
+  getAudit(sessionId, limit = 10) {
+    const list = this.db.get(String(sessionId), AUDIT_KEY, []) || [];
+    return list.slice(-Math.max(1, Number(limit) || 10)).reverse();
+  }
+}
@@ -0,0 +1,193 @@
+// lib/sandboxWorker.js
+// Worker side of lib/sandbox.js: runs one snippet in a fresh vm context and
+// exits. message, conn and db are stand-ins whose method calls are forwarded to
+// the main thread, which only carries out the allowlisted ones (lib/sandbox.js).
+//
+// Nothing from this realm is handed to the snippet: any worker function or
+// object would lead back to the worker's Function, and from there to `process`.
+// So the snippet's globals are built by `setup` below, compiled inside the
+// context, and the only worker functions it holds (`host`) stay in its closure.
+// They take and return primitives and never throw; replies come back as JSON
+// and are parsed inside the context.
+import { parentPort, workerData } from "worker_threads";
+import vm from "vm";
+
+const output = [];
+const timers = new Map();
+let nextTimer = 0;
+
+const host = {
+  call(id, target, method, args) {
+    try {
+      parentPort.postMessage({ type: "call", id, target, method, args });
+      return null;
+    } catch (e) {
+      return `cannot pass these arguments to ${target}.${method}: ${e?.message || e}`;
+    }
+  },
+  out(text) {
+    output.push(String(text));
+  },
+  done(ok, error) {
+    parentPort.postMessage({ type: "done", ok: !!ok, output: output.join("\n"), error: ok ? undefined : String(error) });
+  },
+  later(fn, ms) {
+    const id = ++nextTimer;
+    timers.set(
+      id,
+      setTimeout(() => {
+        timers.delete(id);
+        try {
+          fn();
+        } catch {}
+      }, Number(ms) || 0)
+    );
+    return id;
+  },
+  cancel(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  },
+};
+
+// compiled from source inside the context, so everything it creates belongs
+// there; builtins are picked up before the snippet runs, so it can't swap them
+function setup(host, dataJson) {
+  "use strict";
+  const { parse, stringify } = JSON;
+  const U8 = Uint8Array;
+  const ObjectFreeze = Object.freeze;
+  const StringOf = String;
+  const Err = Error;
+  const Pending = Map;
+  const Seen = WeakSet;
+  const isView = ArrayBuffer.isView;
+
+  const ask = (fn, ...args) => {
+    try {
+      return fn(...args);
+    } catch {
+      return "sandbox call failed";
+    }
+  };
+
+  const pending = new Pending();
+  let nextId = 0;
+  const call = (target, method, args) =>
+    new Promise((resolve, reject) => {
+      const id = ++nextId;
+      pending.set(id, { resolve, reject });
+      const failed = ask(host.call, id, target, method, args);
+      if (failed) {
+        pending.delete(id);
+        reject(new Err(failed));
+      }
+    });
+
+  // reply from the main thread; byte arrays travel next to the JSON
+  const receive = (id, ok, json, bytes) => {
+    const p = pending.get(id);
+    if (!p) return;
+    pending.delete(id);
+    if (!ok) return p.reject(new Err(StringOf(json)));
+    const count = bytes.length;
+    const revive = (key, v) => {
+      const i = v !== null && typeof v === "object" ? v.$bytes : undefined;
+      return typeof i === "number" && i >= 0 && i < count && i % 1 === 0 ? new U8(bytes[i]) : v;
+    };
+    p.resolve(json === undefined ? undefined : parse(json, revive));
+  };
+
+  // plain fields from `base`, any other property is a remote method
+  // ("then" stays undefined so `await conn` doesn't hang)
+  const remote = (target, base = {}) =>
+    new Proxy(ObjectFreeze(base), {
+      get: (t, prop) => {
+        if (prop in t) return t[prop];
+        if (typeof prop !== "string" || prop === "then") return undefined;
+        return (...args) => call(target, prop, args);
+      },
+    });
+
+  const show = (v) => {
+    if (typeof v === "string") return v;
+    if (v === undefined || typeof v === "function" || typeof v === "symbol" || typeof v === "bigint") return StringOf(v);
+    if (v instanceof Err) return v.stack || StringOf(v);
+    const seen = new Seen();
+    try {
+      return stringify(
+        v,
+        (key, x) => {
+          if (isView(x)) return `<${x.length} bytes>`;
+          if (typeof x === "bigint") return `${x}n`;
+          if (x !== null && typeof x === "object") {
+            if (seen.has(x)) return "[Circular]";
+            seen.add(x);
+          }
+          return x;
+        },
+        2
+      );
+    } catch {
+      return StringOf(v);
+    }
+  };
+  const print = (...args) => void ask(host.out, args.map(show).join(" "));
+
+  const data = parse(dataJson);
+  const message = remote("message", data.message);
+  globalThis.message = message;
+  globalThis.m = message;
+  globalThis.conn = remote("conn", { user: data.user });
+  globalThis.db = remote("db");
+  globalThis.console = ObjectFreeze({ log: print, info: print, warn: print, error: print });
+  globalThis.print = print;
+  globalThis.setTimeout = (fn, ms) => ask(host.later, () => void (typeof fn === "function" && fn()), ms);
+  globalThis.clearTimeout = (id) => void ask(host.cancel, id);
+
+  const settle = async (running) => {
+    try {
+      const result = await running;
+      if (result !== undefined) print(result);
+      ask(host.done, true);
+    } catch (e) {
+      ask(host.done, false, e !== null && typeof e === "object" && typeof e.message === "string" ? e.message : StringOf(e));
+    }
+  };
+  return ObjectFreeze({ receive, settle });
+}
+
+// a null-prototype global: with a plain {} `this.constructor` would be the worker's Object
+const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+const sandbox = vm.runInContext(`(${setup})`, context)(host, JSON.stringify({ message: workerData.message, user: workerData.user }));
+
+parentPort.on("message", (m) => {
+  const bytes = [];
+  let json;
+  try {
+    json = m.ok && m.value !== undefined ? JSON.stringify(m.value, bytesOut(bytes)) : m.error;
+  } catch {
+    // bigints and the like
+    json = JSON.stringify(String(m.value));
+  }
+  try {
+    sandbox.receive(m.id, !!m.ok, json, bytes);
+  } catch {}
+});
+
+// byte arrays are handed over separately and copied inside the context
+function bytesOut(list) {
+  return function (key, value) {
+    const raw = this[key];
+    if (!ArrayBuffer.isView(raw)) return value;
+    list.push(raw);
+    return { $bytes: list.length - 1 };
+  };
+}
+
+try {
+  const script = new vm.Script(`(async () => {\n${workerData.code}\n})()`, { filename: "eval.js", lineOffset: -1 });
+  sandbox.settle(script.runInContext(context, { timeout: workerData.timeoutMs }));
+} catch (e) {
+  host.done(false, e?.message || e);
+}
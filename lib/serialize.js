@@ -39,6 +39,22 @@ export async function makePp(buf) {
     prev: prevBuf
   };
 }
+/**
+ * buildContent(payload, options) - normalise what plugins pass to send()/reply()
+ * into a Baileys AnyMessageContent. Shared with the outbound REST API.
+ */
+export function buildContent(payload, options = {}) {
+  if (payload?.delete) return { delete: payload.delete };
+  let cend;
+  if (typeof payload === 'string') cend = { text: payload };
+  else if (payload.video) cend = { video: payload.video, caption: payload.caption || '', mimetype: payload.mimetype || 'video/mp4' };
+  else if (payload.image) cend = { image: payload.image, caption: payload.caption || '' };
+  else if (payload.audio) cend = { audio: payload.audio, mimetype: payload.mimetype || 'audio/mp4', ptt: payload.ptt || false };
+  else cend = payload;
+  if (options.mentions) cend.mentions = options.mentions;
+  if (options.edit) cend.edit = options.edit;
+  return cend;
+}
 class MsgWrapper {
   constructor({ raw, conn, sessionId, key, from, fromMe, isFromMe, sender, isGroup, pushName, type, body, content, quoted, mentions }) {
     this.raw = raw;
@@ -185,9 +201,9 @@ class MsgWrapper {
   getParticipants() { return this.groupParticipants || []; }
   isParticipant(jid) { const normalized = jidNormalizedUser(jid); return this.getParticipants().some((p) => { const pid = typeof p === 'string' ? p : p?.id || p; return areJidsSameUser(jidNormalizedUser(pid), normalized); }); }
   async download() { try { if (!this.content) return null; const stream = await downloadContentFromMessage(this.content, this.type.replace('Message', '')); const chunks = []; for await (const chunk of stream) chunks.push(chunk); return Buffer.concat(chunks); } catch (e) { console.error('Error downloading media:', e); return null; } }
-  async send(payload, options = {}) { try { if (payload?.delete) return await this.conn.sendMessage(this.from, { delete: payload.delete }); let cend; if (typeof payload === 'string') cend = { text: payload }; else if (payload.video) cend = { video: payload.video, caption: payload.caption || '', mimetype: payload.mimetype || 'video/mp4' }; else if (payload.image) cend = { image: payload.image, caption: payload.caption || '' }; else if (payload.audio) cend = { audio: payload.audio, mimetype: payload.mimetype || 'audio/mp4', ptt: payload.ptt || false }; else cend = payload; if (options.mentions) cend.mentions = options.mentions; if (options.edit) cend.edit = options.edit; return await this.conn.sendMessage(this.from, cend, { quoted: options.quoted }); } catch (e) { console.error('Error sending message:', e); return null; } }
+  async send(payload, options = {}) { try { return await this.conn.sendMessage(this.from, buildContent(payload, options), { quoted: options.quoted }); } catch (e) { console.error('Error sending message:', e); return null; } }
   async react(emoji) { try { return await this.conn.sendMessage(this.from, { react: { text: emoji, key: this.key } }); } catch (e) { console.error('Error reacting:', e); return null; } }
-  async replyMethod(payload, options = {}) { try { if (payload?.delete) return await this.conn.sendMessage(this.from, { delete: payload.delete }); let cend; if (typeof payload === 'string') cend = { text: payload }; else if (payload.video) cend = { video: payload.video, caption: payload.caption || '', mimetype: payload.mimetype || 'video/mp4' }; else if (payload.image) cend = { image: payload.image, caption: payload.caption || '' }; else if (payload.audio) cend = { audio: payload.audio, mimetype: payload.mimetype || 'audio/mp4', ptt: payload.ptt || false }; else cend = payload; if (options.mentions) cend.mentions = options.mentions; if (options.edit) cend.edit = options.edit; return await this.conn.sendMessage(this.from, cend, { quoted: this.raw }); } catch (e) { console.error('Error sending reply:', e); return null; } }
+  async replyMethod(payload, options = {}) { try { if (payload?.delete) return await this.conn.sendMessage(this.from, { delete: payload.delete }); return await this.conn.sendMessage(this.from, buildContent(payload, options), { quoted: this.raw }); } catch (e) { console.error('Error sending reply:', e); return null; } }
   sendreply(payload, options = {}) { return this.replyMethod(payload, options); }
   sendReply(payload, options = {}) { return this.replyMethod(payload, options); }
   reply(payload, options = {}) { return this.replyMethod(payload, options); }
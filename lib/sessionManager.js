@@ -3,6 +3,7 @@ import fs from "fs";
 import path from "path";
 import EventEmitter from "events";
 import { DisconnectReason } from "@whiskeysockets/baileys"; // used to detect permanent logout reasons
+import { newStateRecord, transition } from "./sessionState.js";
 
 class Semaphore {
   constructor(limit) {
@@ -37,6 +38,7 @@ export default class SessionManager extends EventEmitter {
    * opts:
    *  - createSocket: async function(sessionId) => sock (required)
    *  - sessionsDir: path to store session auth folders (optional)
+   *  - authStore: credential store to delete from on logout (optional, see lib/authState.js)
    *  - metaFile: path to persist session ids (optional)
    *  - concurrency: number (optional)
    *  - startDelayMs: number (optional)
@@ -50,7 +52,9 @@ export default class SessionManager extends EventEmitter {
     this.createSocket = opts.createSocket;
     // optional DB instance provided by caller to avoid circular imports
     this.db = opts.db;
-    this.sessions = new Map(); // sessionId => { sock, backoffMs, restarting, status, reconnectTimer, deleted, reconnectAttempts }
+    // optional auth store (lib/authState.js); without one creds are folders in sessionsDir
+    this.authStore = opts.authStore || null;
+    this.sessions = new Map(); // sessionId => { sock, backoffMs, restarting, status, since, history, reconnectTimer, deleted, reconnectAttempts }
     // make paths absolute to avoid CWD surprises
     this.sessionsDir = path.resolve(opts.sessionsDir || path.join(process.cwd(), "sessions"));
     this.metaFile = path.resolve(opts.metaFile || path.join(process.cwd(), "sessions.json"));
@@ -96,15 +100,7 @@ export default class SessionManager extends EventEmitter {
       if (!Array.isArray(list)) list = [];
       for (const id of list) {
         if (!this.sessions.has(id)) {
-          this.sessions.set(id, {
-            sock: null,
-            backoffMs: this.defaultBackoff,
-            restarting: false,
-            status: "stopped",
-            reconnectTimer: null,
-            deleted: false,
-            reconnectAttempts: 0,
-          });
+          this.sessions.set(id, this._newEntry());
         }
       }
       try {
@@ -136,15 +132,7 @@ export default class SessionManager extends EventEmitter {
       if (!Array.isArray(list)) list = [];
       for (const id of list) {
         if (!this.sessions.has(id)) {
-          this.sessions.set(id, {
-            sock: null,
-            backoffMs: this.defaultBackoff,
-            restarting: false,
-            status: "stopped",
-            reconnectTimer: null,
-            deleted: false,
-            reconnectAttempts: 0,
-          });
+          this.sessions.set(id, this._newEntry());
         }
       }
       await this._persistMeta().catch(() => { });
@@ -259,6 +247,46 @@ export default class SessionManager extends EventEmitter {
     }
   }
 
+  // credentials go through the auth store when there is one (lib/authState.js)
+  async _removeAuth(sessionId) {
+    try {
+      if (this.authStore) await this.authStore.remove(sessionId);
+      else await fsPromises.rm(path.join(this.sessionsDir, sessionId), { recursive: true, force: true });
+    } catch (e) {
+      console.warn(`[${sessionId}] removing credentials failed:`, e?.message || e);
+    }
+  }
+
+  _newEntry() {
+    return {
+      sock: null,
+      backoffMs: this.defaultBackoff,
+      restarting: false,
+      ...newStateRecord(), // status "registered" (see lib/sessionState.js)
+      reconnectTimer: null,
+      deleted: false,
+      reconnectAttempts: 0,
+    };
+  }
+
+  // validated state change; emits "state" (sessionId, { from, to, reason, at })
+  _setStatus(sessionId, entry, to, reason = null) {
+    const from = entry.status;
+    if (!transition(entry, to, reason)) {
+      if (from !== to) console.warn(`[${sessionId}] ignored state change ${from} -> ${to}${reason ? ` (${reason})` : ""}`);
+      return false;
+    }
+    // however it is started again (resume, /start, /pair...), a quarantined
+    // session gets a fresh reconnect budget
+    if (from === "quarantined") {
+      entry.reconnectAttempts = 0;
+      entry.backoffMs = this.defaultBackoff;
+      entry.quarantine = null;
+    }
+    this.emit("state", sessionId, { from, to, reason, at: entry.since });
+    return true;
+  }
+
   /**
    * register(sessionId)
    * - Synchronous API for backwards compatibility: ensures meta is persisted before return.
@@ -266,15 +294,7 @@ export default class SessionManager extends EventEmitter {
    */
   register(sessionId) {
     if (!this.sessions.has(sessionId)) {
-      this.sessions.set(sessionId, {
-        sock: null,
-        backoffMs: this.defaultBackoff,
-        restarting: false,
-        status: "stopped",
-        reconnectTimer: null,
-        deleted: false,
-        reconnectAttempts: 0,
-      });
+      this.sessions.set(sessionId, this._newEntry());
     } else {
       // if previously marked deleted, unmark when explicitly registering
       const entry = this.sessions.get(sessionId);
@@ -321,7 +341,7 @@ export default class SessionManager extends EventEmitter {
 
     await this.semaphore.acquire();
     try {
-      entry.status = "starting";
+      this._setStatus(sessionId, entry, "starting");
       this.sessions.set(sessionId, entry);
 
       let sock;
@@ -330,19 +350,19 @@ export default class SessionManager extends EventEmitter {
       } catch (err) {
         // ensure state is consistent when createSocket fails
         console.warn(`[${sessionId}] createSocket failed:`, err?.message || err);
-        entry.status = "stopped";
+        this._setStatus(sessionId, entry, "stopped", `createSocket failed: ${err?.message || err}`);
         entry.sock = null;
         entry.restarting = false;
         this.sessions.set(sessionId, entry);
         throw err;
       }
 
-      // attach socket & events
+      // attach socket & events; the session is "open" only once connection.update says so
       entry.sock = sock;
-      entry.status = "connected";
+      if (sock?.authState?.creds && !sock.authState.creds.registered) this._setStatus(sessionId, entry, "awaiting-pairing");
       entry.restarting = false;
-      entry.backoffMs = this.defaultBackoff;
-      entry.reconnectAttempts = 0;
+      // backoff and reconnectAttempts are reset on "open", so failed
+      // reconnects add up towards reconnectLimit
 
       // clear any reconnect timer if present
       if (entry.reconnectTimer) {
@@ -416,7 +436,7 @@ export default class SessionManager extends EventEmitter {
     }
 
     try {
-      entry.status = "stopping";
+      this._setStatus(sessionId, entry, "stopping");
       try {
         if (typeof entry.sock?.ev?.removeAllListeners === "function") {
           try {
@@ -437,7 +457,7 @@ export default class SessionManager extends EventEmitter {
       }
     } finally {
       entry.sock = null;
-      entry.status = "stopped";
+      this._setStatus(sessionId, entry, "stopped");
       this.sessions.set(sessionId, entry);
     }
 
@@ -468,13 +488,11 @@ export default class SessionManager extends EventEmitter {
       entry.reconnectTimer = null;
     }
 
-    // remove auth folder if exists
-    const sessionPath = path.join(this.sessionsDir, sessionId);
-    try {
-      await fsPromises.rm(sessionPath, { recursive: true, force: true });
-    } catch (e) { }
+    // remove stored credentials
+    await this._removeAuth(sessionId);
 
     // mark deleted and delete from in-memory map
+    this._setStatus(sessionId, entry, "logged-out", "client-initiated-logout");
     entry.deleted = true;
     entry.sock = null;
     entry.restarting = false;
@@ -498,22 +516,68 @@ export default class SessionManager extends EventEmitter {
     return true;
   }
 
+  /**
+   * restart(sessionId, reason) - drop a live socket and come back through the
+   * usual close handling (backoff, reconnect limit). Used by the watchdog.
+   */
+  async restart(sessionId, reason = "restart requested") {
+    const entry = this.sessions.get(sessionId);
+    const sock = entry?.sock;
+    if (!sock) return false;
+    const error = Object.assign(new Error(reason), {
+      output: { statusCode: DisconnectReason?.connectionLost ?? 408, payload: { error: reason } },
+    });
+    try {
+      if (typeof sock.end === "function") sock.end(error);
+      else sock.ws?.close?.();
+    } catch (e) {
+      console.warn(`[${sessionId}] closing socket for restart failed:`, e?.message || e);
+    }
+    // a socket that is truly wedged may never report the close itself
+    await new Promise((r) => setTimeout(r, 1000));
+    if (this.sessions.get(sessionId)?.sock === sock) {
+      await this._handleConnectionUpdate(sessionId, { connection: "close", lastDisconnect: { error, date: new Date() } });
+    }
+    return true;
+  }
+
+  /**
+   * resume(sessionId) - start a quarantined session again with a fresh
+   * reconnect budget. Returns false when the session isn't quarantined.
+   */
+  async resume(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry || entry.status !== "quarantined") return false;
+    this.emit("resumed", sessionId);
+    await this.start(sessionId);
+    return true;
+  }
+
   isRunning(sessionId) {
     const entry = this.sessions.get(sessionId);
     return !!(entry && entry.sock);
   }
 
   list() {
-    const out = [];
-    for (const [k, v] of this.sessions.entries()) {
-      out.push({
-        sessionId: k,
-        status: v.status,
-        backoffMs: v.backoffMs,
-        reconnectAttempts: v.reconnectAttempts || 0,
-      });
-    }
-    return out;
+    return Array.from(this.sessions.keys(), (k) => this.describe(k));
+  }
+
+  // status, state history and connection counters for one session (null if unknown)
+  describe(sessionId) {
+    const v = this.sessions.get(sessionId);
+    if (!v) return null;
+    return {
+      sessionId,
+      status: v.status,
+      since: v.since ?? null,
+      history: v.history || [],
+      backoffMs: v.backoffMs,
+      reconnectAttempts: v.reconnectAttempts || 0,
+      quarantine: v.quarantine || null,
+      health: v.health?.state ?? null,
+      lastInboundAt: v.health?.lastInboundAt ?? null,
+      rttMs: v.health?.rttMs ?? null,
+    };
   }
 
   /**
@@ -526,7 +590,10 @@ export default class SessionManager extends EventEmitter {
       out.push({
         file_path: sid,
         connection: entry.sock || null,
-        healthy: !!entry.sock,
+        // watchdog verdict once the socket has opened (lib/watchdog.js)
+        healthy: !!entry.sock && (entry.health ? entry.health.state !== "dead" : true),
+        health: entry.health?.state ?? null,
+        status: entry.status,
       });
     }
     return out;
@@ -608,8 +675,11 @@ export default class SessionManager extends EventEmitter {
       }
     };
 
+    if (update.qr) this._setStatus(sessionId, entry, "awaiting-pairing");
+
     if (connection === "open") {
-      entry.status = "connected";
+      this._setStatus(sessionId, entry, "open");
+      entry.quarantine = null;
       entry.backoffMs = this.defaultBackoff;
       entry.restarting = false;
       entry.reconnectAttempts = 0;
@@ -643,13 +713,15 @@ export default class SessionManager extends EventEmitter {
 
       // If permanent logout: clean up immediately
       if (isLoggedOut) {
+        this._setStatus(sessionId, entry, "logged-out", String(
+          lastDisconnect?.error?.output?.payload?.reason || lastDisconnect?.error?.output?.statusCode || "logged out"
+        ));
         try {
           _clearReconnectTimer(entry);
           entry.sock = null;
           entry.restarting = false;
 
-          const sessionPath = path.join(this.sessionsDir, sessionId);
-          await fsPromises.rm(sessionPath, { recursive: true, force: true }).catch(() => { });
+          await this._removeAuth(sessionId);
          
 
           // call db.logout once and handle errors gracefully
@@ -684,28 +756,21 @@ export default class SessionManager extends EventEmitter {
       entry.reconnectAttempts = (entry.reconnectAttempts || 0) + 1;
       this.sessions.set(sessionId, entry);
 
-      // If user/session tried reconnecting too many times, force logout
+      // Too many failed reconnects: park the session but keep its credentials,
+      // a long outage on our side shouldn't unpair anyone (see resume())
       if (entry.reconnectAttempts >= this.reconnectLimit) {
-        try {
-          _clearReconnectTimer(entry);
-          entry.sock = null;
-          entry.restarting = false;
-          const sessionPath = path.join(this.sessionsDir, sessionId);
-          await fsPromises.rm(sessionPath, { recursive: true, force: true }).catch(() => { });
-          if (this.db && typeof this.db.logout === "function") {
-            await this.db.logout(sessionId).catch((e) =>
-              console.warn("db.logout failed when exceeding reconnect limit", e?.message || e)
-            );
-          }
-        } catch (e) {
-          console.warn("error removing session auth dir (limit)", e?.message || e);
-        }
-        this.sessions.delete(sessionId);
-        await this._persistMeta().catch(() => { });
-        this.emit("session.deleted", sessionId, {
-          reason: "reconnect-limit-exceeded",
-        });
-        this.emit("loggedOut", sessionId);
+        _clearReconnectTimer(entry);
+        entry.sock = null;
+        entry.restarting = false;
+        this._setStatus(sessionId, entry, "quarantined", "reconnect-limit-exceeded");
+        entry.quarantine = {
+          at: entry.since,
+          attempts: entry.reconnectAttempts,
+          lastStatusCode: lastDisconnect?.error?.output?.statusCode ?? null,
+        };
+        this.sessions.set(sessionId, entry);
+        console.warn(`[${sessionId}] quarantined after ${entry.reconnectAttempts} failed reconnects (credentials kept)`);
+        this.emit("quarantined", sessionId, { reason: "reconnect-limit-exceeded", ...entry.quarantine });
         return;
       }
 
@@ -713,7 +778,7 @@ export default class SessionManager extends EventEmitter {
       if (!entry.restarting) {
         entry.restarting = true;
         entry.sock = null;
-        entry.status = "reconnecting";
+        this._setStatus(sessionId, entry, "reconnecting", `attempt ${entry.reconnectAttempts}/${this.reconnectLimit}`);
         const backoff = entry.backoffMs || this.defaultBackoff;
 
         const timer = setTimeout(async () => {
@@ -722,7 +787,7 @@ export default class SessionManager extends EventEmitter {
             if (!this.sessions.has(sessionId)) return;
             const curEntry = this.sessions.get(sessionId);
             if (!curEntry) return;
-            if (curEntry.status === "connected") return;
+            if (curEntry.status === "open") return;
             curEntry.restarting = false;
             curEntry.backoffMs = Math.min((curEntry.backoffMs || this.defaultBackoff) * 2, this.maxBackoff);
             this.sessions.set(sessionId, curEntry);
@@ -736,6 +801,11 @@ export default class SessionManager extends EventEmitter {
 
         entry.reconnectTimer = timer;
         this.sessions.set(sessionId, entry);
+        this.emit("reconnecting", sessionId, {
+          attempt: entry.reconnectAttempts,
+          limit: this.reconnectLimit,
+          backoffMs: backoff,
+        });
       }
     }
   }
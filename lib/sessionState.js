@@ -0,0 +1,64 @@
+// lib/sessionState.js
+// Lifecycle states of a SessionManager entry and the moves allowed between them.
+//
+//   registered ─▶ starting ─▶ awaiting-pairing ─▶ open
+//                    │  ▲            │             │
+//                    ▼  │            ▼             ▼
+//                 reconnecting ◀─────┴─────────────┘
+//   any running state ─▶ stopping ─▶ stopped ─▶ starting
+//   any running state ─▶ quarantined ─▶ starting (resume)
+//   any state ─▶ logged-out (credentials gone)
+//
+// "starting" means a socket is being created or is connecting with saved
+// credentials; only "open" means WhatsApp accepted the connection.
+// "quarantined" is where a session ends up after too many failed reconnects:
+// its credentials are kept, but nothing retries until someone resumes it.
+
+export const STATES = [
+  "registered",
+  "starting",
+  "awaiting-pairing",
+  "open",
+  "reconnecting",
+  "stopping",
+  "stopped",
+  "quarantined",
+  "logged-out",
+];
+
+const TRANSITIONS = {
+  registered: ["starting", "stopping", "stopped", "logged-out"],
+  starting: ["awaiting-pairing", "open", "reconnecting", "stopping", "stopped", "quarantined", "logged-out"],
+  "awaiting-pairing": ["open", "reconnecting", "stopping", "stopped", "quarantined", "logged-out"],
+  open: ["reconnecting", "stopping", "stopped", "quarantined", "logged-out"],
+  reconnecting: ["starting", "stopping", "stopped", "quarantined", "logged-out"],
+  stopping: ["stopped", "logged-out"],
+  stopped: ["starting", "stopping", "logged-out"],
+  quarantined: ["starting", "stopping", "stopped", "logged-out"],
+  "logged-out": ["registered"],
+};
+
+const HISTORY_LIMIT = Number(process.env.SESSION_HISTORY_LIMIT) || 20;
+
+export function canTransition(from, to) {
+  return !from || !!TRANSITIONS[from]?.includes(to);
+}
+
+export function newStateRecord(now = Date.now()) {
+  return { status: "registered", since: now, history: [{ from: null, to: "registered", at: now, reason: null }] };
+}
+
+/**
+ * transition(entry, to, reason) => true when the entry moved, false when it
+ * was already there or the move isn't allowed (the entry is left unchanged).
+ */
+export function transition(entry, to, reason = null) {
+  if (!STATES.includes(to)) throw new Error(`unknown session state: ${to}`);
+  const from = entry.status;
+  if (from === to || !canTransition(from, to)) return false;
+  const at = Date.now();
+  entry.status = to;
+  entry.since = at;
+  entry.history = [...(entry.history || []), { from: from ?? null, to, at, reason }].slice(-HISTORY_LIMIT);
+  return true;
+}
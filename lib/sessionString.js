@@ -0,0 +1,161 @@
+// lib/sessionString.js
+// Session strings: a whole pairing packed into one line of text, so stateless
+// hosts (Heroku, Railway...) can get their sessions back after a redeploy.
+//
+//   XKIRA~<base64url( version | salt | iv | tag | AES-256-GCM( gzip( JSON ) ) )>
+//
+// The JSON is { v, id, at, entries } where entries are auth store entries
+// (lib/authState.js): "creds" plus the signal keys. The key is derived with
+// scrypt from SESSION_SECRET, so a leaked string is useless without it.
+//
+// On boot, strings are read from SESSION_ID (one or more, separated by spaces,
+// commas or newlines) and from GIST_URL (a gist, raw URL or local file holding
+// strings), and written to the auth store for sessions it doesn't have yet.
+import crypto from "crypto";
+import zlib from "zlib";
+import fs from "fs/promises";
+import axios from "axios";
+import config from "../config.js";
+import { SESSION_ID_RE } from "./qrPairing.js";
+
+export const SESSION_PREFIX = "XKIRA~";
+const VERSION = 1;
+const SALT_LEN = 16;
+const IV_LEN = 12;
+const TAG_LEN = 16;
+
+// the smallest set a pairing comes back with, for when the full string is too
+// big for an env var. It drops the private pre-keys the server still hands out
+// and the signal sessions: new contacts' first messages can't be decrypted, and
+// existing chats fail until retry receipts rebuild their sessions.
+const ESSENTIAL = ["creds", "app-state-sync-key-", "app-state-sync-version-", "lid-mapping-"];
+
+const STRING_RE = new RegExp(`${SESSION_PREFIX.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}[A-Za-z0-9_-]+`, "g");
+
+function secretOf(secret) {
+  const s = secret ?? process.env.SESSION_SECRET;
+  if (!s) throw new Error("SESSION_SECRET is not set; it is needed to encrypt and decrypt session strings");
+  return String(s);
+}
+
+/**
+ * encodeSession({ sessionId, entries }, secret) => "XKIRA~..."
+ */
+export function encodeSession({ sessionId, entries }, secret) {
+  if (!entries?.creds) throw new Error("session has no creds");
+  const salt = crypto.randomBytes(SALT_LEN);
+  const iv = crypto.randomBytes(IV_LEN);
+  const key = crypto.scryptSync(secretOf(secret), salt, 32);
+  const payload = zlib.gzipSync(JSON.stringify({ v: VERSION, id: String(sessionId), at: Date.now(), entries }));
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const body = Buffer.concat([cipher.update(payload), cipher.final()]);
+  const packed = Buffer.concat([Buffer.from([VERSION]), salt, iv, cipher.getAuthTag(), body]);
+  return SESSION_PREFIX + packed.toString("base64url");
+}
+
+/**
+ * decodeSession(text, secret) => { sessionId, at, entries }
+ * Throws on a wrong secret or a damaged string.
+ */
+export function decodeSession(text, secret) {
+  const str = String(text || "").trim();
+  if (!str.startsWith(SESSION_PREFIX)) throw new Error(`not a session string (expected ${SESSION_PREFIX}...)`);
+  const packed = Buffer.from(str.slice(SESSION_PREFIX.length), "base64url");
+  if (packed[0] !== VERSION) throw new Error(`unsupported session string version ${packed[0]}`);
+  if (packed.length <= 1 + SALT_LEN + IV_LEN + TAG_LEN) throw new Error("session string is truncated");
+  let at = 1;
+  const take = (n) => packed.subarray(at, (at += n));
+  const salt = take(SALT_LEN);
+  const iv = take(IV_LEN);
+  const tag = take(TAG_LEN);
+  const body = packed.subarray(at);
+  let json;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", crypto.scryptSync(secretOf(secret), salt, 32), iv);
+    decipher.setAuthTag(tag);
+    json = JSON.parse(zlib.gunzipSync(Buffer.concat([decipher.update(body), decipher.final()])).toString("utf-8"));
+  } catch (e) {
+    if (/SESSION_SECRET is not set/.test(e?.message)) throw e;
+    throw new Error("cannot decrypt session string (wrong SESSION_SECRET or damaged string)");
+  }
+  if (!json?.entries?.creds) throw new Error("session string has no creds");
+  if (!SESSION_ID_RE.test(String(json.id))) throw new Error("session string has an invalid session id");
+  // names become file names in a folder store
+  if (Object.keys(json.entries).some((n) => /[\\/]|^\./.test(n))) throw new Error("session string has an invalid key name");
+  return { sessionId: String(json.id), at: json.at ?? null, entries: json.entries };
+}
+
+/**
+ * exportSession(store, sessionId, { essential, secret }) => { text, keys }
+ * Packs every stored entry; with `essential` only the ones in ESSENTIAL.
+ */
+export async function exportSession(store, sessionId, { essential = false, secret } = {}) {
+  const all = await store.entries(sessionId);
+  if (!all.creds) throw new Error(`no stored credentials for session ${sessionId}`);
+  const entries = !essential
+    ? all
+    : Object.fromEntries(Object.entries(all).filter(([name]) => ESSENTIAL.some((p) => (p.endsWith("-") ? name.startsWith(p) : name === p))));
+  return { text: encodeSession({ sessionId, entries }, secret), keys: Object.keys(entries).length };
+}
+
+// every session string in a blob of text (env value, gist, file)
+export function findSessionStrings(text) {
+  return [...new Set(String(text || "").match(STRING_RE) || [])];
+}
+
+// gist page => its raw contents; other http(s) URLs as is; anything else is a file path
+async function readSource(source) {
+  const src = String(source).trim();
+  if (!/^https?:\/\//i.test(src)) return fs.readFile(src.replace(/^file:\/\//i, ""), "utf-8");
+  const gist = src.match(/^https?:\/\/gist\.github\.com\/([^/]+)\/([0-9a-f]+)\/?$/i);
+  const url = gist ? `https://gist.githubusercontent.com/${gist[1]}/${gist[2]}/raw` : src;
+  const res = await axios.get(url, { timeout: 15_000, responseType: "text", transformResponse: (d) => d });
+  return String(res.data ?? "");
+}
+
+/**
+ * hydrateSessions({ store, manager, sessionId, gistUrl, secret })
+ * Writes sessions from SESSION_ID / GIST_URL into the auth store and registers
+ * them with the manager. Sessions the store already has are left alone: what is
+ * stored is newer than any string. Never throws; returns the ids it restored.
+ */
+export async function hydrateSessions({ store, manager, sessionId = config.SESSION_ID, gistUrl = config.GIST_URL, secret } = {}) {
+  const strings = findSessionStrings(sessionId);
+  if (sessionId && !strings.length) console.warn(`SESSION_ID doesn't contain a session string (${SESSION_PREFIX}...), ignoring it`);
+  if (gistUrl) {
+    try {
+      const found = findSessionStrings(await readSource(gistUrl));
+      if (!found.length) console.warn("GIST_URL has no session strings");
+      strings.push(...found);
+    } catch (e) {
+      console.warn("GIST_URL could not be read:", e?.message || e);
+    }
+  }
+
+  const restored = [];
+  for (const text of strings) {
+    let session;
+    try {
+      session = decodeSession(text, secret);
+    } catch (e) {
+      console.warn(`session string ${text.slice(0, 16)}... skipped: ${e?.message || e}`);
+      continue;
+    }
+    const sid = session.sessionId;
+    try {
+      if (await store.read(sid, "creds")) {
+        manager?.register(sid);
+        continue;
+      }
+      // creds last, like migrateAuth: a session only exists once its keys are in
+      for (const [name, value] of Object.entries(session.entries)) if (name !== "creds") await store.write(sid, name, value);
+      await store.write(sid, "creds", session.entries.creds);
+      manager?.register(sid);
+      restored.push(sid);
+      console.log(`[${sid}] restored from session string (${Object.keys(session.entries).length} keys)`);
+    } catch (e) {
+      console.warn(`[${sid}] restoring session string failed:`, e?.message || e);
+    }
+  }
+  return restored;
+}
@@ -0,0 +1,228 @@
+// lib/settings.js
+// Typed per-session settings with one storage key scheme.
+//
+// Every setting lives in the WalDBFast "session" named after the SessionManager
+// session id (never the bot number), under:
+//   scope "session"       -> <name>
+//   scope "chat"/"group"  -> <name>:<chatJid>
+// Older plugins keyed the same flags by bot number or "bot"; migrateLegacy()
+// folds those into the layout above once per session.
+
+import config from "../config.js";
+
+const MIGRATION_KEY = "settings:migrated";
+const MIGRATION_VERSION = 1;
+
+const registry = new Map();
+
+const TRUE_WORDS = ["true", "1", "yes", "on", "enable", "enabled"];
+const FALSE_WORDS = ["false", "0", "no", "off", "disable", "disabled"];
+
+/**
+ * defineSetting(name, { type, default, scope, values, description })
+ *  - type: "boolean" | "string" | "number" | "enum" | "json"
+ *  - scope: "session" | "chat" | "group"
+ */
+export function defineSetting(name, spec = {}) {
+  const def = {
+    name,
+    type: spec.type || "boolean",
+    default: spec.default ?? (spec.type === "boolean" || !spec.type ? false : null),
+    scope: spec.scope || "session",
+    values: spec.values || null,
+    description: spec.description || "",
+  };
+  if (!["session", "chat", "group"].includes(def.scope)) throw new Error(`invalid scope for ${name}: ${def.scope}`);
+  if (def.type === "enum" && !Array.isArray(def.values)) throw new Error(`enum setting ${name} needs values`);
+  registry.set(name, def);
+  return def;
+}
+
+export function getSettingDef(name) {
+  return registry.get(name) || null;
+}
+
+export function listSettings() {
+  return [...registry.values()];
+}
+
+/**
+ * coerce(def, value) - turn user input ("on", "7", "kick") into the typed value.
+ * Throws on values that don't fit the definition.
+ */
+export function coerce(def, value) {
+  if (value === null || value === undefined) return def.default;
+  switch (def.type) {
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      const s = String(value).trim().toLowerCase();
+      if (TRUE_WORDS.includes(s)) return true;
+      if (FALSE_WORDS.includes(s)) return false;
+      throw new Error(`${def.name} expects on/off`);
+    }
+    case "number": {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`${def.name} expects a number`);
+      return n;
+    }
+    case "enum": {
+      const s = String(value).trim().toLowerCase();
+      if (!def.values.includes(s)) throw new Error(`${def.name} expects one of: ${def.values.join(", ")}`);
+      return s;
+    }
+    case "string":
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * sessionIdOf(messageOrConn) - the single resolver from a MsgWrapper (or a
+ * socket handed to event plugins) to the storage key.
+ */
+export function sessionIdOf(source) {
+  if (!source) return null;
+  return source._sessionId || source.sessionId || source.conn?.sessionId || source.client?.sessionId || null;
+}
+
+function storageKey(def, chatJid) {
+  if (def.scope === "session") return def.name;
+  if (!chatJid) throw new Error(`${def.name} is ${def.scope}-scoped and needs a chat`);
+  if (def.scope === "group" && !String(chatJid).endsWith("@g.us")) throw new Error(`${def.name} only applies to groups`);
+  return `${def.name}:${chatJid}`;
+}
+
+export const WORK_MODES = ["public", "private", "groups", "inbox"];
+
+// accept the spellings people put in WORK_TYPE
+export function normalizeWorkType(value) {
+  const s = String(value || "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+  if (["group", "groups", "group-only", "groups-only", "gc"].includes(s)) return "groups";
+  if (["inbox", "inbox-only", "pm", "dm", "private-chat"].includes(s)) return "inbox";
+  if (["private", "self", "owner"].includes(s)) return "private";
+  return "public";
+}
+
+// ---- built-in settings ----
+defineSetting("mode", { type: "enum", values: WORK_MODES, default: normalizeWorkType(config.WORK_TYPE), description: "Who may use commands" });
+defineSetting("autoread", { description: "Mark incoming messages as read" });
+defineSetting("autostatus_seen", { description: "View statuses automatically" });
+defineSetting("autostatus_react", { description: "React to statuses automatically" });
+defineSetting("autotyping", { description: "Show typing while chatting" });
+defineSetting("autorecord", { description: "Show recording while chatting" });
+defineSetting("autoreact", { description: "React to incoming messages" });
+defineSetting("anticall", { description: "Reject incoming calls" });
+defineSetting("antilink", { scope: "group", description: "Remove links posted by non-admins" });
+defineSetting("antilink_mode", { type: "enum", values: ["kick", "warn", "null"], default: "kick", scope: "group", description: "What antilink does to the sender" });
+defineSetting("prefix", { type: "json", default: null, description: "Command prefixes, see lib/prefix.js" });
+defineSetting("chatprefix", { type: "json", default: null, scope: "chat", description: "Command prefixes for one chat" });
+defineSetting("welcome", { scope: "group", description: "Greet new members" });
+defineSetting("goodbye", { scope: "group", description: "Say goodbye to leaving members" });
+
+// legacy key/value => [newKey, typedValue] | null
+function translateLegacy(key, value, foreignSid) {
+  let m;
+  if (foreignSid && registry.get(key)?.scope === "session") return [key, coerce(registry.get(key), value)];
+  if ((m = /^antilink:(.+):enabled$/.exec(key))) return [`antilink:${m[1]}`, value === true];
+  if ((m = /^antilink:(.+):mode$/.exec(key))) {
+    const mode = String(value || "kick").toLowerCase();
+    return [`antilink_mode:${m[1]}`, coerce(registry.get("antilink_mode"), mode === "remove" ? "kick" : mode)];
+  }
+  if ((m = /^group:(.+):(welcome|goodbye)$/.exec(key))) {
+    const status = value && typeof value === "object" ? value.status : value;
+    return [`${m[2]}:${m[1]}`, status === true || status === "true"];
+  }
+  return null;
+}
+
+export default class SettingsStore {
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+  }
+
+  _resolve(source) {
+    const sid = typeof source === "string" ? source : sessionIdOf(source);
+    if (!sid) throw new Error("cannot resolve session for settings");
+    return sid;
+  }
+
+  /**
+   * get(source, name, chatJid?) - source is a session id, MsgWrapper or socket.
+   * For chat/group settings chatJid defaults to the message's chat.
+   */
+  get(source, name, chatJid) {
+    const def = registry.get(name);
+    if (!def) throw new Error(`unknown setting: ${name}`);
+    const sid = this._resolve(source);
+    const key = storageKey(def, chatJid ?? (def.scope === "session" ? null : source?.from));
+    const v = this.db.get(sid, key, def.default);
+    return v === undefined || v === null ? def.default : v;
+  }
+
+  set(source, name, value, chatJid) {
+    const def = registry.get(name);
+    if (!def) throw new Error(`unknown setting: ${name}`);
+    const sid = this._resolve(source);
+    const key = storageKey(def, chatJid ?? (def.scope === "session" ? null : source?.from));
+    const typed = coerce(def, value);
+    // hot keys: the upsert handler reads these synchronously on every message
+    if (typed === def.default) this.db.delHot(sid, key);
+    else this.db.setHot(sid, key, typed);
+    return typed;
+  }
+
+  reset(source, name, chatJid) {
+    const def = registry.get(name);
+    if (!def) throw new Error(`unknown setting: ${name}`);
+    const sid = this._resolve(source);
+    this.db.delHot(sid, storageKey(def, chatJid ?? (def.scope === "session" ? null : source?.from)));
+  }
+
+  /**
+   * migrateLegacy(sessionId, sock) - merge settings older plugins stored
+   * under the bot number ("9198..."/"9198...:12") or "bot" into sessionId.
+   * Values already present under the new key win. Legacy keys are left in
+   * place; the run is recorded so it happens once per session.
+   */
+  async migrateLegacy(sessionId, sock) {
+    const sid = String(sessionId);
+    if ((await this.db.getAsync(sid, MIGRATION_KEY, 0)) >= MIGRATION_VERSION) return 0;
+
+    const userId = String(sock?.user?.id || "");
+    const sources = [...new Set([
+      sid,
+      userId.split(":")[0],
+      userId.split("@")[0],
+      "bot",
+    ])].filter(Boolean);
+
+    let merged = 0;
+    const put = (key, value) => {
+      if (this.db.get(sid, key) !== undefined) return;
+      this.db.setHot(sid, key, value);
+      merged++;
+    };
+
+    for (const src of sources) {
+      if (src !== sid && this.db.isBlocked?.(src)) continue;
+      const entries = await this.db.entries(src);
+      for (const [key, value] of Object.entries(entries)) {
+        try {
+          const out = translateLegacy(key, value, src !== sid);
+          if (out) put(out[0], out[1]);
+        } catch (e) {
+          console.warn(`[${sid}] settings migration skipped ${src}/${key}:`, e?.message || e);
+        }
+      }
+    }
+
+    // anticall used to be read as { anticall: "true" }
+    const anticall = this.db.get(sid, "anticall");
+    if (anticall && typeof anticall === "object") this.db.setHot(sid, "anticall", anticall.anticall === "true");
+
+    await this.db.set(sid, MIGRATION_KEY, MIGRATION_VERSION);
+    return merged;
+  }
+}
@@ -0,0 +1,61 @@
+// lib/sudo.js
+// Sudo users per session, managed with .sudo add/remove/list and kept under
+// the "sudo" hot key so permission checks can read it synchronously.
+// WhatsApp may identify the same person by phone number (PN) or by LID, so
+// each entry stores both numbers when they are known:
+//   [{ pn: "919812345678", lid: "123456789012345", addedAt }]
+import { toNumber } from "./permissions.js";
+
+const SUDO_KEY = "sudo";
+
+export default class SudoList {
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+  }
+
+  list(sessionId) {
+    const entries = this.db.get(String(sessionId), SUDO_KEY, []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  // jids: every id known for the sender (PN and/or LID, any device suffix)
+  has(sessionId, jids) {
+    const numbers = [].concat(jids).map(toNumber).filter(Boolean);
+    if (!numbers.length) return false;
+    return this.list(sessionId).some((e) => numbers.includes(e.pn) || numbers.includes(e.lid));
+  }
+
+  /**
+   * add(sessionId, { pn, lid }) => the stored entry, or null when either
+   * number is already listed (a missing PN/LID is filled in on the way).
+   */
+  add(sessionId, { pn, lid } = {}) {
+    const entry = { pn: toNumber(pn) || null, lid: toNumber(lid) || null };
+    if (!entry.pn && !entry.lid) throw new Error("no number to add");
+    const entries = this.list(sessionId);
+    const existing = entries.find((e) => (entry.pn && e.pn === entry.pn) || (entry.lid && e.lid === entry.lid));
+    if (existing) {
+      if ((!existing.pn && entry.pn) || (!existing.lid && entry.lid)) {
+        const merged = { ...existing, pn: existing.pn || entry.pn, lid: existing.lid || entry.lid };
+        this.db.setHot(String(sessionId), SUDO_KEY, entries.map((e) => (e === existing ? merged : e)));
+      }
+      return null;
+    }
+    const stored = { ...entry, addedAt: Date.now() };
+    this.db.setHot(String(sessionId), SUDO_KEY, [...entries, stored]);
+    return stored;
+  }
+
+  // remove(sessionId, numberOrJid) => the removed entry or null
+  remove(sessionId, id) {
+    const n = toNumber(id);
+    const entries = this.list(sessionId);
+    const found = n && entries.find((e) => e.pn === n || e.lid === n);
+    if (!found) return null;
+    const rest = entries.filter((e) => e !== found);
+    if (rest.length) this.db.setHot(String(sessionId), SUDO_KEY, rest);
+    else this.db.delHot(String(sessionId), SUDO_KEY);
+    return found;
+  }
+}
@@ -0,0 +1,164 @@
+// lib/taskQueue.js
+// Plugin task scheduler shared by every session in the process.
+// Sessions with pending work are served round-robin (weighted: a session with
+// weight 3 gets up to three tasks per turn), each session has its own
+// concurrency cap and queue limit, and "high" priority tasks (owner commands)
+// are picked before normal ones across all sessions.
+
+export class QueueFullError extends Error {
+  constructor(message, scope) {
+    super(message);
+    this.name = "QueueFullError";
+    this.scope = scope;
+  }
+}
+
+// "main:3,alt:2" => Map { main => 3, alt => 2 }
+export function parseWeights(spec) {
+  const weights = new Map();
+  for (const part of String(spec || "").split(",")) {
+    const [sid, w] = part.split(":").map((s) => s && s.trim());
+    const n = Number(w);
+    if (sid && Number.isFinite(n) && n > 0) weights.set(sid, Math.floor(n));
+  }
+  return weights;
+}
+
+export default class FairQueue {
+  /**
+   * opts:
+   *  - concurrency: tasks running at once across all sessions
+   *  - limit: queued tasks across all sessions before rejecting
+   *  - sessionConcurrency / sessionLimit: the same, per session
+   *  - weights: Map<sessionId, number> (default weight 1)
+   */
+  constructor(opts = {}) {
+    this.concurrency = opts.concurrency || 100;
+    this.limit = opts.limit || 2000;
+    this.sessionConcurrency = opts.sessionConcurrency || this.concurrency;
+    this.sessionLimit = opts.sessionLimit || this.limit;
+    this.weights = opts.weights || new Map();
+    this.active = 0;
+    this.queued = 0;
+    this._sessions = new Map();
+    this._ring = []; // session ids with queued work, in round-robin order
+    this._cursor = 0;
+  }
+
+  _session(sid) {
+    let s = this._sessions.get(sid);
+    if (!s) {
+      s = { sid, high: [], normal: [], active: 0, credit: 0, completed: 0, failed: 0, rejected: 0 };
+      this._sessions.set(sid, s);
+    }
+    return s;
+  }
+
+  /**
+   * enqueue(sessionId, fn, { priority: "high" | "normal" }) => Promise of fn's result.
+   * Rejects with QueueFullError when the global or per-session queue is full.
+   */
+  enqueue(sessionId, fn, { priority = "normal" } = {}) {
+    const sid = String(sessionId || "default");
+    const s = this._session(sid);
+    return new Promise((resolve, reject) => {
+      const pending = s.high.length + s.normal.length;
+      let full = null;
+      if (this.queued >= this.limit) full = new QueueFullError("plugin queue full", "global");
+      // owner commands are not held back by their own session's backlog
+      else if (priority !== "high" && pending >= this.sessionLimit) {
+        full = new QueueFullError(`plugin queue full for session ${sid}`, "session");
+      }
+      if (full) {
+        s.rejected++;
+        reject(full);
+        return;
+      }
+      (priority === "high" ? s.high : s.normal).push({ fn, resolve, reject });
+      this.queued++;
+      if (!this._ring.includes(sid)) this._ring.push(sid);
+      this._pump();
+    });
+  }
+
+  _pump() {
+    while (this.active < this.concurrency) {
+      const picked = this._next("high") || this._next("normal");
+      if (!picked) return;
+      this._run(picked.session, picked.task);
+    }
+  }
+
+  // next task from the first eligible session in ring order, honouring weights
+  _next(lane) {
+    const n = this._ring.length;
+    for (let i = 0; i < n; i++) {
+      const idx = (this._cursor + i) % n;
+      const s = this._sessions.get(this._ring[idx]);
+      if (!s[lane].length || s.active >= this.sessionConcurrency) continue;
+
+      if (s.credit <= 0) s.credit = this.weights.get(s.sid) || 1;
+      s.credit--;
+      const task = s[lane].shift();
+      this.queued--;
+
+      if (!s.high.length && !s.normal.length) {
+        s.credit = 0;
+        this._ring.splice(idx, 1);
+        this._cursor = this._ring.length ? idx % this._ring.length : 0;
+      } else {
+        this._cursor = s.credit > 0 ? idx : (idx + 1) % this._ring.length;
+      }
+      return { session: s, task };
+    }
+    return null;
+  }
+
+  _run(s, task) {
+    this.active++;
+    s.active++;
+    setImmediate(async () => {
+      try {
+        task.resolve(await task.fn());
+        s.completed++;
+      } catch (err) {
+        s.failed++;
+        task.reject(err);
+      } finally {
+        this.active--;
+        s.active--;
+        this._pump();
+      }
+    });
+  }
+
+  stats() {
+    const sessions = {};
+    for (const s of this._sessions.values()) {
+      sessions[s.sid] = {
+        active: s.active,
+        queued: s.high.length + s.normal.length,
+        priority: s.high.length,
+        weight: this.weights.get(s.sid) || 1,
+        completed: s.completed,
+        failed: s.failed,
+        rejected: s.rejected,
+      };
+    }
+    return {
+      active: this.active,
+      queued: this.queued,
+      concurrency: this.concurrency,
+      limit: this.limit,
+      sessionConcurrency: this.sessionConcurrency,
+      sessionLimit: this.sessionLimit,
+      sessions,
+    };
+  }
+
+  // drop counters for a session that no longer exists (queued tasks still run)
+  forget(sessionId) {
+    const s = this._sessions.get(String(sessionId));
+    if (s && !s.active && !s.high.length && !s.normal.length) this._sessions.delete(s.sid);
+  }
+}
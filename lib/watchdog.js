@@ -0,0 +1,134 @@
+// lib/watchdog.js
+// Notices sockets that are "open" but no longer talking to WhatsApp.
+// For every open session it tracks the last inbound frame/event and pings the
+// server (the same w:p iq Baileys uses for keep-alive) every interval:
+//  - healthy:  the last ping answered and something arrived recently
+//  - degraded: a ping failed, or nothing arrived for WATCHDOG_DEGRADED_AFTER (2m)
+//  - dead:     WATCHDOG_DEAD_PINGS (3) pings in a row failed, or nothing arrived
+//              for WATCHDOG_DEAD_AFTER (5m)
+// Dead sessions are restarted with manager.restart(), i.e. the regular
+// reconnect path with its backoff and reconnect limit.
+// State changes are emitted on the manager as "health" (sessionId, health).
+import { S_WHATSAPP_NET } from "@whiskeysockets/baileys";
+import { parseDuration } from "./handier.js";
+
+const INBOUND_EVENTS = ["messages.upsert", "groups.update", "group-participants.update", "creds.update", "connection.update"];
+
+export default class SessionWatchdog {
+  /**
+   * opts: interval ("30s"), degradedAfter ("2m"), deadAfter ("5m"),
+   * pingTimeout ("10s"), deadPings (3); env WATCHDOG_* override the defaults
+   */
+  constructor(manager, opts = {}) {
+    if (!manager) throw new Error("manager required");
+    this.manager = manager;
+    const env = process.env;
+    this.intervalMs = parseDuration(opts.interval ?? env.WATCHDOG_INTERVAL) || 30_000;
+    this.degradedAfterMs = parseDuration(opts.degradedAfter ?? env.WATCHDOG_DEGRADED_AFTER) || 2 * 60_000;
+    this.deadAfterMs = parseDuration(opts.deadAfter ?? env.WATCHDOG_DEAD_AFTER) || 5 * 60_000;
+    this.pingTimeoutMs = parseDuration(opts.pingTimeout ?? env.WATCHDOG_PING_TIMEOUT) || 10_000;
+    this.deadPings = opts.deadPings || Number(env.WATCHDOG_DEAD_PINGS) || 3;
+    this._timer = null;
+    this._checking = false;
+    this._attach();
+  }
+
+  _attach() {
+    this.manager.on("connected", (sid) => this._opened(sid));
+    for (const ev of INBOUND_EVENTS) this.manager.on(ev, (sid) => this.touch(sid));
+  }
+
+  // a fresh record each time the socket opens; frames count as inbound traffic
+  _opened(sessionId) {
+    const entry = this.manager.sessions.get(sessionId);
+    if (!entry) return;
+    const now = Date.now();
+    entry.health = { state: "healthy", since: now, openedAt: now, lastInboundAt: now, lastQueryAt: null, rttMs: null, failedPings: 0 };
+    const sock = entry.sock;
+    if (typeof sock?.ws?.on === "function") {
+      sock.ws.on("frame", () => {
+        if (this.manager.sessions.get(sessionId)?.sock === sock) this.touch(sessionId);
+      });
+    }
+  }
+
+  touch(sessionId) {
+    const health = this.manager.sessions.get(sessionId)?.health;
+    if (health) health.lastInboundAt = Date.now();
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.check().catch((e) => console.warn("watchdog check failed:", e?.message || e));
+    }, this.intervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async check() {
+    if (this._checking) return;
+    this._checking = true;
+    try {
+      const open = [...this.manager.sessions.entries()].filter(
+        ([, e]) => e.status === "open" && e.sock && e.health?.openedAt
+      );
+      await Promise.all(open.map(([sid, entry]) => this._checkSession(sid, entry)));
+    } finally {
+      this._checking = false;
+    }
+  }
+
+  async _checkSession(sessionId, entry) {
+    const sock = entry.sock;
+    const health = entry.health;
+    const rttMs = await this.ping(sock);
+    if (entry.sock !== sock) return; // reconnected while we waited
+
+    const now = Date.now();
+    if (rttMs === null) health.failedPings++;
+    else Object.assign(health, { lastQueryAt: now, rttMs, failedPings: 0 });
+
+    const silentMs = now - (health.lastInboundAt || health.openedAt);
+    let state = "healthy";
+    if (health.failedPings >= this.deadPings || silentMs >= this.deadAfterMs) state = "dead";
+    else if (health.failedPings > 0 || silentMs >= this.degradedAfterMs) state = "degraded";
+
+    if (state !== health.state) {
+      health.state = state;
+      health.since = now;
+      this.manager.emit("health", sessionId, { ...health });
+    }
+    if (state === "dead") {
+      const why = health.failedPings >= this.deadPings ? `${health.failedPings} pings unanswered` : `no traffic for ${Math.round(silentMs / 1000)}s`;
+      console.warn(`[${sessionId}] watchdog: socket looks dead (${why}), restarting`);
+      await this.manager.restart(sessionId, `watchdog: ${why}`);
+    }
+  }
+
+  // round trip in ms, or null when the server didn't answer in time
+  async ping(sock) {
+    if (typeof sock?.query !== "function") return null;
+    const started = Date.now();
+    let timer;
+    try {
+      // our own deadline too, in case the socket never settles the query
+      await Promise.race([
+        sock.query(
+          { tag: "iq", attrs: { to: S_WHATSAPP_NET, type: "get", xmlns: "w:p" }, content: [{ tag: "ping", attrs: {} }] },
+          this.pingTimeoutMs
+        ),
+        new Promise((_, reject) => (timer = setTimeout(() => reject(new Error("ping timeout")), this.pingTimeoutMs + 1000))),
+      ]);
+      return Date.now() - started;
+    } catch {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,192 @@
+// lib/webhooks.js
+// Per-session webhook subscriptions for inbound traffic.
+// Deliveries are HMAC-signed JSON POSTs retried with exponential backoff;
+// whatever still fails lands in a dead-letter queue kept in WalDBFast and can
+// be replayed through the HTTP API.
+import crypto from "crypto";
+import axios from "axios";
+
+export const WEBHOOK_EVENTS = ["messages", "group-participants", "calls", "connection"];
+
+const HOOKS_KEY = "webhooks";
+const DLQ_KEY = "webhooks:dlq";
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS) || 2_000;
+const MAX_BACKOFF_MS = 5 * 60_000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000;
+const DLQ_LIMIT = Number(process.env.WEBHOOK_DLQ_LIMIT) || 500;
+
+export function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * toWebhookMessage(msg) - plain JSON view of a serialized MsgWrapper
+ */
+export function toWebhookMessage(msg) {
+  if (!msg) return null;
+  return {
+    key: msg.key,
+    id: msg.id,
+    from: msg.from,
+    sender: msg.sender,
+    isGroup: !!msg.isGroup,
+    fromMe: !!msg.fromMe,
+    pushName: msg.pushName,
+    type: msg.type,
+    body: msg.body,
+    mentions: msg.mentions || [],
+    quoted: msg.quoted
+      ? { id: msg.quoted.id, type: msg.quoted.type, body: msg.quoted.body, participant: msg.quoted.participant }
+      : null,
+    timestamp: Number(msg.raw?.messageTimestamp) || Math.floor((msg._createdAt || Date.now()) / 1000),
+  };
+}
+
+export default class WebhookDispatcher {
+  constructor(opts = {}) {
+    if (!opts.db) throw new Error("db option required");
+    this.db = opts.db;
+    this.http = opts.http || axios;
+  }
+
+  // ---- subscriptions ----
+  list(sessionId) {
+    return this.db.get(sessionId, HOOKS_KEY, []) || [];
+  }
+
+  async subscribe(sessionId, { url, secret, events } = {}) {
+    try {
+      const u = new URL(String(url));
+      if (!/^https?:$/.test(u.protocol)) throw new Error();
+    } catch {
+      throw new Error("url must be an http(s) URL");
+    }
+    const filter = Array.isArray(events) && events.length ? events : WEBHOOK_EVENTS;
+    const unknown = filter.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw new Error(`unknown events: ${unknown.join(", ")}`);
+    const hook = {
+      id: crypto.randomBytes(6).toString("hex"),
+      url: String(url),
+      secret: secret ? String(secret) : crypto.randomBytes(24).toString("hex"),
+      events: filter,
+      createdAt: Date.now(),
+    };
+    await this.db.set(sessionId, HOOKS_KEY, [...this.list(sessionId), hook]);
+    return hook;
+  }
+
+  async unsubscribe(sessionId, hookId) {
+    const hooks = this.list(sessionId);
+    const next = hooks.filter((h) => h.id !== hookId);
+    if (next.length === hooks.length) return false;
+    await this.db.set(sessionId, HOOKS_KEY, next);
+    return true;
+  }
+
+  // ---- delivery ----
+  /**
+   * dispatch(sessionId, event, data) - fire-and-forget fan-out to every hook
+   * subscribed to `event`. Never throws into the caller's hot path.
+   */
+  dispatch(sessionId, event, data) {
+    // reading a logged-out session would silently unblock it in WalDBFast
+    if (this.db.isBlocked?.(sessionId)) return;
+    let hooks;
+    try {
+      hooks = this.list(sessionId).filter((h) => h.events.includes(event));
+    } catch {
+      return;
+    }
+    if (!hooks.length) return;
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      sessionId,
+      timestamp: Date.now(),
+      data,
+    };
+    for (const hook of hooks) this._deliver(sessionId, hook, payload, 1);
+  }
+
+  async _post(hook, payload) {
+    const body = JSON.stringify(payload);
+    const ts = Math.floor(Date.now() / 1000);
+    await this.http.post(hook.url, body, {
+      timeout: TIMEOUT_MS,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Timestamp": String(ts),
+        "X-Webhook-Signature": `sha256=${sign(hook.secret, ts, body)}`,
+      },
+      validateStatus: (s) => s >= 200 && s < 300,
+    });
+  }
+
+  _deliver(sessionId, hook, payload, attempt) {
+    this._post(hook, payload).catch((err) => {
+      const reason = err?.response ? `HTTP ${err.response.status}` : err?.message || String(err);
+      if (attempt >= MAX_ATTEMPTS) {
+        this._deadLetter(sessionId, hook, payload, attempt, reason).catch((e) =>
+          console.warn(`[${sessionId}] webhook dlq write failed`, e?.message || e)
+        );
+        return;
+      }
+      const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+      const t = setTimeout(() => {
+        // the hook may have been removed while we were waiting
+        const current = this.list(sessionId).find((h) => h.id === hook.id);
+        if (current) this._deliver(sessionId, current, payload, attempt + 1);
+      }, delay);
+      if (t.unref) t.unref();
+    });
+  }
+
+  async _deadLetter(sessionId, hook, payload, attempts, reason) {
+    const dlq = this.db.get(sessionId, DLQ_KEY, []) || [];
+    const item = { hookId: hook.id, url: hook.url, payload, attempts, reason, failedAt: Date.now() };
+    await this.db.set(sessionId, DLQ_KEY, [...dlq, item].slice(-DLQ_LIMIT));
+    console.warn(`[${sessionId}] webhook ${hook.id} dead-lettered ${payload.event} (${reason})`);
+  }
+
+  deadLetters(sessionId) {
+    return this.db.get(sessionId, DLQ_KEY, []) || [];
+  }
+
+  /**
+   * replay(sessionId, ids?) - retry dead letters once each (all when ids is empty).
+   * Successful ones leave the queue; failures stay with an updated reason.
+   */
+  async replay(sessionId, ids = []) {
+    const dlq = this.deadLetters(sessionId);
+    const wanted = new Set(ids);
+    const hooks = this.list(sessionId);
+    const keep = [];
+    let delivered = 0;
+    for (const item of dlq) {
+      if (wanted.size && !wanted.has(item.payload.id)) {
+        keep.push(item);
+        continue;
+      }
+      const hook = hooks.find((h) => h.id === item.hookId);
+      if (!hook) {
+        keep.push({ ...item, reason: "webhook no longer exists" });
+        continue;
+      }
+      try {
+        await this._post(hook, item.payload);
+        delivered++;
+      } catch (err) {
+        const reason = err?.response ? `HTTP ${err.response.status}` : err?.message || String(err);
+        keep.push({ ...item, attempts: item.attempts + 1, reason, failedAt: Date.now() });
+      }
+    }
+    // keep anything dead-lettered while we were replaying
+    const fresh = this.deadLetters(sessionId).filter((i) => !dlq.includes(i));
+    const next = [...keep, ...fresh].slice(-DLQ_LIMIT);
+    await this.db.set(sessionId, DLQ_KEY, next);
+    return { delivered, remaining: next.length };
+  }
+}
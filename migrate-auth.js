@@ -0,0 +1,50 @@
+// migrate-auth.js - copy WhatsApp credentials between auth stores.
+// Stop the bot first, then e.g.:
+//   node migrate-auth.js --from folder --to mongo
+//   node migrate-auth.js --from waldb --to folder --session 91700393888 --overwrite
+// Options:
+//   --from / --to   folder | waldb | mongo (see lib/authState.js)
+//   --session id    only this session (repeatable; default: all in --from)
+//   --overwrite     replace sessions that already exist in --to
+//   --dry-run       only report what would be copied
+// Store locations come from the usual env (AUTH_FOLDER, AUTH_DB_DIR, MONGODB_URI...).
+// Afterwards set AUTH_STORE to the --to store and start the bot.
+import { STORE_KINDS, createAuthStore, migrateAuth } from "./lib/authState.js";
+
+function parseCli(argv) {
+  const opts = { sessions: [], overwrite: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--from") opts.from = argv[++i];
+    else if (arg === "--to") opts.to = argv[++i];
+    else if (arg === "--session") opts.sessions.push(argv[++i]);
+    else if (arg === "--overwrite") opts.overwrite = true;
+    else if (arg === "--dry-run") opts.dryRun = true;
+    else throw new Error(`unknown option ${arg}`);
+  }
+  if (!opts.from || !opts.to) throw new Error(`--from and --to are required (${STORE_KINDS.join(", ")})`);
+  if (opts.from === opts.to) throw new Error("--from and --to are the same store");
+  return opts;
+}
+
+async function run() {
+  const opts = parseCli(process.argv.slice(2));
+  const from = createAuthStore(opts.from);
+  const to = createAuthStore(opts.to);
+  try {
+    const report = await migrateAuth(from, to, opts);
+    for (const r of report) {
+      console.log(`${r.status.padEnd(8)} ${r.sessionId} (${r.keys} keys)${r.error ? ` - ${r.error}` : ""}`);
+    }
+    const copied = report.filter((r) => r.status === "copied").length;
+    console.log(`${opts.dryRun ? "would copy" : "copied"} ${copied} of ${report.length} session(s) from ${opts.from} to ${opts.to}`);
+    if (report.some((r) => r.status === "failed")) process.exitCode = 1;
+  } finally {
+    await Promise.allSettled([from.close(), to.close()]);
+  }
+}
+
+run().catch((e) => {
+  console.error("migrate-auth:", e?.message || e);
+  process.exit(1);
+});
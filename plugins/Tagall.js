@@ -1,13 +1,10 @@
 import { Module } from "../lib/plugins.js";
-import { getTheme } from "../Themes/themes.js";
-const theme = getTheme();
 Module({
   command: "tagall",
   package: "group",
   description: "Tag all group members with custom style",
+  groupOnly: true,
 })(async (m, text) => {
-  if (!m.isGroup) return m.send(theme.isGroup);
-  await m.loadGroupInfo();
   try {
     const conn = m.conn;
     const from = m.from;
@@ -101,9 +98,9 @@ Module({
   command: "admin",
   package: "group",
   description: "Tag all group admins",
+  groupOnly: true,
 })(async (m, text) => {
   await m.loadGroupInfo(m.from);
-  if (!m.isGroup) return m.send(theme.isGroup);
 
   try {
     const conn = m.conn;
@@ -208,11 +205,8 @@ Module({
   command: "rtag",
   package: "group",
   description: "Tag random members",
+  groupOnly: true,
 })(async (m, text) => {
-  if (!m.isGroup) return m.send(theme.isGroup);
-
-  await m.loadGroupInfo();
-
   try {
     const count = parseInt(text) || 5;
     const participants = m.groupParticipants;
@@ -239,13 +233,9 @@ Module({
   command: "hidetag",
   package: "group",
   description: "Tag all without showing names",
+  groupOnly: true,
+  adminOnly: true,
 })(async (m, text) => {
-  if (!m.isGroup) return m.send(theme.isGroup);
-
-  await m.loadGroupInfo();
-
-  if (!m.isAdmin && !m.isFromMe) return m.send(theme.isAdmin);
-
   try {
     const message = text || "📢 Everyone has been tagged!";
     const mentions = m.groupParticipants.map((p) => p.id);
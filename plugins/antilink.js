@@ -1,6 +1,7 @@
 // plugins/antilink.js
 import { Module } from "../lib/plugins.js";
-import { db } from "../lib/client.js";
+import { settings } from "../lib/client.js";
+import { isPrivileged } from "../lib/permissions.js";
 
 const DEBUG = true;
 const debug = (...args) => DEBUG && console.debug('[antilink]', ...args);
@@ -8,17 +9,7 @@ const debug = (...args) => DEBUG && console.debug('[antilink]', ...args);
 // regex (unchanged from your version)
 const LINK_REGEX = /(?:https?:\/\/[^\s]+)|(?:chat\.whatsapp\.com\/[A-Za-z0-9_-]+)|(?:wa\.me\/[0-9]+)|(?:t\.me\/[A-Za-z0-9_\-]+)|(?:telegram\.me\/[A-Za-z0-9_\-]+)|(?:discord\.gg\/[A-Za-z0-9_\-]+)|(?:bit\.ly\/[A-Za-z0-9_\-]+)|(?:tinyurl\.com\/[A-Za-z0-9_\-]+)|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|gg|xyz|me|app|online|site|link)\b/gi;
 
-// Utility: safely get the bot JID/number from message.conn (works across different libs)
-function getBotNumberFromConn(conn) {
-  // many libraries use conn.user?.id like '12345@s.whatsapp.net'
-  const id = conn?.user?.id || conn?.user?.jid || conn?.user || null;
-  if (!id) return 'unknown';
-  return String(id).split('@')[0];
-}
-
-// Helper to form DB keys (so we don't mix group/session)
-function enabledKeyFor(groupJid) { return `antilink:${groupJid}:enabled`; }
-function modeKeyFor(groupJid) { return `antilink:${groupJid}:mode`; }
+// group-scoped settings: "antilink" (on/off) and "antilink_mode" (kick/warn/null), see lib/settings.js
 
 // ---------- Command handler ----------
 Module({
@@ -26,26 +17,18 @@ Module({
   package: "owner",
   description:
     "Enable/disable anti-link for this group or set mode (kick/null/warn). Default mode: kick",
-})(async (message, match) => {
+  owner: true,
+  groupOnly: true,
+  args: [{ name: "action", type: "enum", values: ["on", "off", "kick", "null", "warn", "remove"] }],
+  examples: ["{prefix}antilink on", "{prefix}antilink warn"],
+})(async (message, match, { args } = {}) => {
   try {
-    // owner-only guard (normalize property name)
-    if (!(message.isFromMe || message.isfromMe)) {
-      return message.send("_Only bot owner can use this command._");
-    }
-    if (!message.isGroup) return message.send("❌ This command works only in groups.");
-    await message.loadGroupInfo?.();
-
-    const botNumber = getBotNumberFromConn(message.conn);
-    const groupJid = message.from;
-    const raw = (match || "").trim().toLowerCase();
-
-    const enabledKey = enabledKeyFor(groupJid);
-    const modeKey = modeKeyFor(groupJid);
+    const raw = args?.action || "";
 
     // Show status
     if (!raw) {
-      const isEnabled = db.get(botNumber, enabledKey, false) === true;
-      const mode = String(db.get(botNumber, modeKey, 'kick') || 'kick').toLowerCase();
+      const isEnabled = settings.get(message, "antilink") === true;
+      const mode = settings.get(message, "antilink_mode");
       return message.send(
         `⚙️ AntiLink for this group\n• Status: ${isEnabled ? "✅ ON" : "❌ OFF"}\n• Mode: ${mode.toUpperCase()}\n\nUsage:\n• .antilink on\n• .antilink off\n• .antilink kick\n• .antilink null\n• .antilink warn`
       );
@@ -53,38 +36,33 @@ Module({
 
     // ON
     if (raw === 'on') {
-      const already = db.get(botNumber, enabledKey, false) === true;
+      const already = settings.get(message, "antilink") === true;
       if (already) return message.send(`ℹ️ AntiLink is already *ON* for this group.`);
-      db.setHot(botNumber, enabledKey, true);
-      // ensure mode exists
-      const hasMode = db.get(botNumber, modeKey, null);
-      if (hasMode === null || typeof hasMode === 'undefined') db.setHot(botNumber, modeKey, 'kick');
-      return message.send(`✅ AntiLink has been *ENABLED* for this group. Default action: *${hasMode.toUpperCase()}*`);
+      settings.set(message, "antilink", true);
+      const mode = settings.get(message, "antilink_mode");
+      return message.send(`✅ AntiLink has been *ENABLED* for this group. Default action: *${mode.toUpperCase()}*`);
     }
 
     // OFF
     if (raw === 'off') {
-      const currently = db.get(botNumber, enabledKey, false) === true;
+      const currently = settings.get(message, "antilink") === true;
       if (!currently) return message.send("ℹ️ AntiLink is already *OFF* for this group.");
-      db.setHot(botNumber, enabledKey, false);
+      settings.set(message, "antilink", false);
       return message.send("✅ AntiLink has been *DISABLED* for this group.");
     }
 
     // Set mode
     if (raw === 'kick' || raw === 'null' || raw === 'warn' || raw === 'remove') {
       const normalized = raw === 'remove' ? 'kick' : raw; // 'remove' -> 'kick' behavior
-      db.setHot(botNumber, modeKey, normalized);
+      settings.set(message, "antilink_mode", normalized);
       // if mode is set but feature is off, enable it automatically (convenience)
-      const isEnabled = db.get(botNumber, enabledKey, false) === true;
+      const isEnabled = settings.get(message, "antilink") === true;
       if (!isEnabled) {
-        db.setHot(botNumber, enabledKey, true);
+        settings.set(message, "antilink", true);
         return message.send(`✅ AntiLink mode set to *${normalized.toUpperCase()}* and AntiLink has been automatically *ENABLED* for this group.`);
       }
       return message.send(`✅ AntiLink mode updated to *${normalized.toUpperCase()}* for this group.`);
     }
-
-    // unknown arg
-    return message.send("Usage:\n.antilink on\n.antilink off\n.antilink kick\n.antilink null\n.antilink warn");
   } catch (err) {
     console.error('[antilink][command] error', err);
     return message.send("❌ An error occurred while processing the command.");
@@ -92,22 +70,17 @@ Module({
 });
 
 // ---------- Enforcement handler ----------
-Module({ on: "text", package: "group", description: "Enforce anti-link policy in groups" })(
+// moderation: also runs for banned senders and chats
+Module({ on: "text", package: "group", description: "Enforce anti-link policy in groups", moderation: true })(
   async (message) => {
     try {
       if (!message || !message.isGroup) return;
       const body = (message.body || '').toString();
       if (!body) return;
 
-      const botNumber = getBotNumberFromConn(message.conn);
-      const groupJid = message.from;
-
-      const enabledKey = enabledKeyFor(groupJid);
-      const modeKey = modeKeyFor(groupJid);
-
       // Strict boolean check: require enabled === true
       const enabled = (() => {
-        try { return db.get(botNumber, enabledKey, false) === true; } catch (e) { console.error('[antilink] db.get failed', e); return false; }
+        try { return settings.get(message, "antilink") === true; } catch (e) { console.error('[antilink] settings.get failed', e); return false; }
       })();
       debug('enabled=', enabled);
       if (!enabled) return; // feature disabled -> do nothing
@@ -117,7 +90,7 @@ Module({ on: "text", package: "group", description: "Enforce anti-link policy in
 
       const botIsAdmin = !!message.isBotAdmin;
       const senderIsAdmin = !!message.isAdmin;
-      const senderIsOwnerOrFromMe = !!(message.isFromMe || message.isfromMe);
+      const senderIsOwnerOrFromMe = isPrivileged(message); // owner, bot or sudo
 
       if (!botIsAdmin) {
         debug('bot not admin -> cannot enforce');
@@ -135,7 +108,7 @@ Module({ on: "text", package: "group", description: "Enforce anti-link policy in
       // determine mode
       let mode = 'kick';
       try {
-        mode = String(db.get(botNumber, modeKey, 'kick') || 'kick').toLowerCase();
+        mode = settings.get(message, "antilink_mode");
       } catch (e) {
         debug('error reading mode, defaulting to kick', e?.message || e);
         mode = 'kick';
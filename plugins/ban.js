@@ -0,0 +1,98 @@
+import { Module } from "../lib/plugins.js";
+import { bans } from "../lib/client.js";
+import { isSudo, toNumber } from "../lib/permissions.js";
+import { formatDuration, parseDuration } from "../lib/handier.js";
+
+// "[duration] [reason]" => { durationMs, reason }; the duration is optional
+function splitTerms(text) {
+  const [first = "", ...rest] = String(text || "").trim().split(/\s+/);
+  // a unit is required so "3 warnings ignored" stays a reason
+  const ms = /^\d.*[a-z]$/i.test(first) ? parseDuration(first) : null;
+  return ms ? { durationMs: ms, reason: rest.join(" ") } : { durationMs: null, reason: String(text || "").trim() };
+}
+
+const expiry = (b) => (b.until ? `for ${formatDuration(b.until - Date.now())}` : "permanently");
+
+// 🔹 Ban a user from using the bot on this number
+Module({
+  command: "ban",
+  package: "owner",
+  description: "Stop a user from using the bot, optionally for a while",
+  sudo: true,
+  args: [{ name: "user", type: "jid", required: true }, { name: "terms", rest: true }],
+  examples: ["{prefix}ban @user", "{prefix}ban @user 1d spamming", "{prefix}ban 919812345678 2h"],
+})(async (message, match, { args } = {}) => {
+  const jid = args.user;
+  const isBot = [message.bot, message.conn?.user?.lid].some((b) => b && toNumber(b) === toNumber(jid));
+  if (isBot || isSudo({ _sessionId: message._sessionId, sender: jid })) {
+    return await message.send("❌ *The owner and sudo users can't be banned*");
+  }
+
+  const { durationMs, reason } = splitTerms(args.terms);
+  // record the other form too so the ban holds whether WhatsApp sends PN or LID
+  const other = message.isLidUser(jid) ? await message.getPN(jid) : await message.getLID(jid);
+  const ban = bans.ban(message._sessionId, {
+    type: "user",
+    id: jid,
+    ids: other ? [other] : [],
+    durationMs,
+    reason,
+    by: message.sender,
+  });
+  await message.react("✅");
+  return await message.send(
+    `🚫 *@${toNumber(jid)} is banned ${expiry(ban)}*${ban.reason ? `\n> Reason: ${ban.reason}` : ""}`,
+    { mentions: [jid] }
+  );
+});
+
+// 🔹 Ignore everyone in this chat
+Module({
+  command: "banchat",
+  package: "owner",
+  description: "Ignore commands from everyone in this chat, optionally for a while",
+  sudo: true,
+  args: [{ name: "terms", rest: true }],
+  examples: ["{prefix}banchat", "{prefix}banchat 12h raid"],
+})(async (message, match, { args } = {}) => {
+  const { durationMs, reason } = splitTerms(args?.terms);
+  const ban = bans.ban(message._sessionId, { type: "chat", id: message.from, durationMs, reason, by: message.sender });
+  await message.react("✅");
+  return await message.send(
+    `🚫 *This chat is banned ${expiry(ban)}*${ban.reason ? `\n> Reason: ${ban.reason}` : ""}\n_Owner and sudo users can still use unban._`
+  );
+});
+
+// 🔹 Lift a user or chat ban
+Module({
+  command: "unban",
+  package: "owner",
+  aliases: ["unbanchat"],
+  description: "Unban a user, or this chat when no user is given",
+  sudo: true,
+  args: [{ name: "user", type: "jid" }],
+  examples: ["{prefix}unban @user", "{prefix}unban"],
+})(async (message, match, { args } = {}) => {
+  const removed = args?.user
+    ? bans.unban(message._sessionId, "user", args.user)
+    : bans.unban(message._sessionId, "chat", message.from);
+  if (!removed) return await message.send(args?.user ? "ℹ️ *That user isn't banned*" : "ℹ️ *This chat isn't banned*");
+  await message.react("✅");
+  return await message.send(removed.type === "user" ? `✅ *+${removed.id} is unbanned*` : "✅ *This chat is unbanned*");
+});
+
+// 🔹 Active bans on this number
+Module({
+  command: "banlist",
+  package: "owner",
+  aliases: ["bans"],
+  description: "List banned users and chats with their expiry",
+  sudo: true,
+})(async (message) => {
+  const lines = bans.list(message._sessionId).map(
+    (b) =>
+      `• ${b.type === "user" ? `+${b.id}` : b.id === message.from ? "this chat" : b.id} - ${b.until ? formatDuration(b.until - Date.now()) + " left" : "permanent"}` +
+      (b.reason ? `\n   _${b.reason}_` : "")
+  );
+  return await message.send(`🚫 *Bans*\n\n${lines.join("\n") || "none"}`);
+});
@@ -1,19 +1,33 @@
 import { Module } from '../lib/plugins.js';
-import util from 'util';
+import { isPrivileged } from '../lib/permissions.js';
+import { db } from '../lib/client.js';
+import Evaluator from '../lib/sandbox.js';
+
+// snippets run in a worker with time/memory limits, see lib/sandbox.js
+const evaluator = new Evaluator({ db });
 
 Module({
   on: 'text'
-})(async (message) => {
+})(async (message, match, { signal } = {}) => {
   if (!message.body.startsWith('>')) return;
-  let sender = message.sender.split('@')[0];
-  let sudo = process.env.SUDO ? process.env.SUDO.split(',').map(u => u.trim().replace(/\+/, '')) : [];
-  if (!(message.fromMe || sudo.includes(sender))) return;
+  if (!isPrivileged(message)) return;
   let code = message.body.slice(1).trim();
-  try {
-    let result = await eval(`(async () => { ${code} })()`);
-    if (typeof result !== 'string') result = util.inspect(result);
-    await message.send(result);
-  } catch (e) {
-    await message.send(e.message);
-  }
+  if (!code) return;
+  const res = await evaluator.run(code, { message, sessionId: message._sessionId, by: message.sender, signal });
+  if (res.ok) return await message.send(res.output || 'undefined');
+  await message.send(`❌ ${res.error}${res.output ? `\n\n${res.output}` : ''}`);
+});
+
+// recent snippets run on this number
+Module({
+  command: 'evallog',
+  package: 'owner',
+  description: 'Show the most recent eval snippets and who ran them',
+  owner: true,
+  args: [{ name: 'count', type: 'number', min: 1, max: 50, default: 10 }],
+})(async (message, match, { args } = {}) => {
+  const lines = evaluator.getAudit(message._sessionId, args?.count).map(
+    (e) => `${e.ok ? '✅' : '❌'} ${new Date(e.at).toISOString().replace('T', ' ').slice(0, 19)} +${String(e.by || '?').split('@')[0]} (${e.ms}ms)\n\`\`\`${e.code.slice(0, 300)}\`\`\``
+  );
+  await message.send(`🧾 *Eval log*\n\n${lines.join('\n\n') || 'empty'}`);
 });
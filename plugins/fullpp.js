@@ -1,12 +1,10 @@
 import { Module } from '../lib/plugins.js';
-import { getTheme } from '../Themes/themes.js';
-const theme = getTheme();
 Module({
   command: "pp",
   package: "owner",
   description: "Set profile picture",
+  owner: true,
 })(async (message) => {
-  if (!message.isfromMe) return message.send(theme.isfromMe);
   if (!message.quoted || !/imageMessage/.test(message.quoted.type)) {
     return message.send("Reply to an image");
   }
@@ -18,8 +16,8 @@ Module({
   command: "fullpp",
   package: "owner",
   description: "Set profile picture",
+  owner: true,
 })(async (message) => {
-  if (!message.isfromMe) return message.send(theme.isfromMe);
   if (!message.quoted || !/imageMessage/.test(message.quoted.type)) {
     return message.send("Reply to an image");
   }
@@ -36,6 +36,7 @@ Module({
   command: "gpt",
   package: "ai",
   description: "Chat with GPT AI",
+  cooldown: "10s",
 })(async (message, match) => {
   if (!match) return message.send("_Please provide a question_");
   try {
@@ -24,41 +24,6 @@ const extractJid = (message) => {
   return null;
 };
 
-/**
- * Check permissions for group commands
- * ✅ FIXED: Enhanced permission checks with better error handling
- */
-const checkPermissions = async (message) => {
-  try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) {
-      await message.send(
-        theme.isGroup || "_This command is only for groups_"
-      );
-      return false;
-    }
-
-    if (!message.isAdmin && !message.isfromMe) {
-      await message.send(
-        theme.isAdmin || " _This command requires admin privileges_"
-      );
-      return false;
-    }
-
-    if (!message.isBotAdmin) {
-      await message.send(theme.isBotAdmin || "_Bot needs admin privileges_");
-      return false;
-    }
-
-    return true;
-  } catch (error) {
-    console.error("Permission check error:", error);
-    await message.send("_Failed to check permissions_");
-    return false;
-  }
-};
-
 /**
  * ✅ FIXED: Safe JID comparison using message helper
  */
@@ -108,10 +73,10 @@ Module({
   package: "group",
   description: "Add member to group",
   usage: ".add <number|reply|tag>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const jids = extractMultipleJids(message);
     if (jids.length === 0) {
       return message.send(
@@ -169,10 +134,10 @@ Module({
   aliases: ["remove"],
   description: "Remove member from group",
   usage: ".kick <reply|tag>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const jids = extractMultipleJids(message);
     if (jids.length === 0) {
       return message.send("❌ _Tag or reply to user(s) to kick_");
@@ -242,10 +207,10 @@ Module({
   package: "group",
   description: "Promote member to admin",
   usage: ".promote <reply|tag>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const jids = extractMultipleJids(message);
     if (jids.length === 0) {
       return message.send("❌ _Tag or reply to user(s) to promote_");
@@ -312,10 +277,10 @@ Module({
   package: "group",
   description: "Demote admin to member",
   usage: ".demote <reply|tag>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const jids = extractMultipleJids(message);
     if (jids.length === 0) {
       return message.send("❌ _Tag or reply to admin(s) to demote_");
@@ -376,12 +341,9 @@ Module({
   package: "group",
   aliases: ["adminlist"],
   description: "List all group admins",
+  groupOnly: true,
 })(async (message) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-
     if (!message.groupAdmins || message.groupAdmins.length === 0) {
       return message.send("ℹ️ _No admins found_");
     }
@@ -418,10 +380,10 @@ Module({
   package: "group",
   aliases: ["unmute"],
   description: "Allow all members to send messages",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     if (!message.announce) {
       return message.send("ℹ️ _Group is already open_");
     }
@@ -444,10 +406,10 @@ Module({
   package: "group",
   aliases: ["mute"],
   description: "Only admins can send messages",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     if (message.announce) {
       return message.send("ℹ️ _Group is already closed_");
     }
@@ -469,10 +431,10 @@ Module({
   command: "lock",
   package: "group",
   description: "Lock group info (only admins can edit)",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     await message.react("⏳");
     await message.conn.groupSettingUpdate(message.from, "locked");
     await message.react("🔒");
@@ -490,10 +452,10 @@ Module({
   command: "unlock",
   package: "group",
   description: "Unlock group info (all members can edit)",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     await message.react("⏳");
     await message.conn.groupSettingUpdate(message.from, "unlocked");
     await message.react("🔓");
@@ -515,10 +477,10 @@ Module({
   aliases: ["seticon", "setimage", "setgroupicon"],
   description: "Set group profile picture",
   usage: ".setgpp <reply to image>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const isImage =
       message.type === "imageMessage" ||
       message.quoted?.type === "imageMessage";
@@ -559,10 +521,10 @@ Module({
   aliases: ["setname", "groupname"],
   description: "Change group name",
   usage: ".subject <new name>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message, match) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     if (!match || match.trim().length === 0) {
       return message.send(
         "❌ _Provide a new group name_\n\n*Example:* .subject New Group Name"
@@ -592,10 +554,10 @@ Module({
   aliases: ["setdesc", "description"],
   description: "Change group description",
   usage: ".desc <new description>",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message, match) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     if (!match || match.trim().length === 0) {
       return message.send(
         "❌ _Provide a new group description_\n\n*Example:* .desc This is our group"
@@ -626,12 +588,9 @@ Module({
   package: "group",
   aliases: ["ginfo", "gcinfo"],
   description: "Get detailed group information",
+  groupOnly: true,
 })(async (message) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-
     const meta = message.groupMetadata;
     const createdDate = new Date((meta.creation || 0) * 1000);
     const regularMembers =
@@ -682,10 +641,10 @@ Module({
   package: "group",
   aliases: ["link", "grouplink"],
   description: "Get group invite link",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     await message.react("⏳");
     const code = await message.inviteCode();
     await message.react("✅");
@@ -704,10 +663,10 @@ Module({
   package: "group",
   aliases: ["resetlink", "newlink"],
   description: "Revoke and generate new invite link",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     await message.react("⏳");
     await message.revokeInvite();
     const newCode = await message.inviteCode();
@@ -727,10 +686,10 @@ Module({
   package: "group",
   aliases: ["joinrequests", "pending"],
   description: "View pending join requests",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const requests = await message.getJoinRequests();
 
     if (!requests || requests.length === 0) {
@@ -760,10 +719,10 @@ Module({
   package: "group",
   aliases: ["acceptall", "approveall"],
   description: "Approve all pending join requests",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const requests = await message.getJoinRequests();
 
     if (!requests || requests.length === 0) {
@@ -789,10 +748,10 @@ Module({
   package: "group",
   aliases: ["rejectall"],
   description: "Reject all pending join requests",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
     const requests = await message.getJoinRequests();
 
     if (!requests || requests.length === 0) {
@@ -818,15 +777,10 @@ Module({
   package: "group",
   aliases: ["exit", "left"],
   description: "Bot leaves the group",
+  owner: true,
+  groupOnly: true,
 })(async (message) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-    if (!message.isfromMe) {
-      return message.send("❌ _Only bot owner can use this_");
-    }
-
     await message.reply("👋 *Goodbye!*\n\nLeaving the group in 3 seconds...");
 
     setTimeout(async () => {
@@ -849,10 +803,9 @@ Module({
   package: "group",
   description: "Create a poll in group",
   usage: ".poll Question | Option1 | Option2 | Option3",
+  groupOnly: true,
 })(async (message, match) => {
   try {
-    if (!message.isGroup) return message.send(theme.isGroup);
-
     if (!match) {
       return message.send(
         "❌ _Invalid format_\n\n*Usage:*\n.poll Question | Option1 | Option2 | Option3\n\n*Example:*\n.poll Best color? | Red | Blue | Green"
@@ -890,34 +843,15 @@ Module({
   package: "group",
   aliases: ["ephemeral"],
   description: "Set disappearing messages",
-  usage: ".disappear <0|24h|7d|90d>",
-})(async (message, match) => {
+  adminOnly: true,
+  botAdminRequired: true,
+  // WhatsApp only accepts these timers
+  args: [{ name: "duration", type: "enum", values: ["0", "off", "24h", "1d", "7d", "90d"], required: true }],
+  examples: ["{prefix}disappear 7d", "{prefix}disappear off"],
+})(async (message, match, { args }) => {
   try {
-    if (!(await checkPermissions(message))) return;
-
-    const duration = match?.toLowerCase();
-    let seconds;
-
-    switch (duration) {
-      case "0":
-      case "off":
-        seconds = 0;
-        break;
-      case "24h":
-      case "1d":
-        seconds = 86400;
-        break;
-      case "7d":
-        seconds = 604800;
-        break;
-      case "90d":
-        seconds = 7776000;
-        break;
-      default:
-        return message.send(
-          "❌ _Invalid duration_\n\n*Options:*\n• 0 or off - Disable\n• 24h - 24 hours\n• 7d - 7 days\n• 90d - 90 days"
-        );
-    }
+    const duration = args.duration;
+    const seconds = { 0: 0, off: 0, "24h": 86400, "1d": 86400, "7d": 604800, "90d": 7776000 }[duration];
 
     await message.conn.sendMessage(message.from, {
       disappearingMessagesInChat: seconds,
@@ -936,14 +870,10 @@ Module({
   package: "group",
   description: "Send announcement to all members (DM)",
   usage: ".announce <message>",
+  groupOnly: true,
+  adminOnly: true,
 })(async (message, match) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-    if (!message.isAdmin && !message.isfromMe)
-      return message.send(theme.isAdmin);
-
     if (!match) {
       return message.send(
         "❌ _Provide announcement message_\n\n*Example:* .announce Important meeting tomorrow"
@@ -986,15 +916,11 @@ Module({
   aliases: ["inv"],
   description: "Invite user via private message",
   usage: ".inviteuser <number>",
+  groupOnly: true,
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message, match) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-    if (!message.isAdmin && !message.isfromMe)
-      return message.send(theme.isAdmin);
-    if (!message.isBotAdmin) return message.send(theme.isBotAdmin);
-
     const jid = extractJid(message);
     if (!jid) {
       return message.send(
@@ -1032,14 +958,10 @@ Module({
   aliases: ["all", "tagall"],
   description: "Tag all group members",
   usage: ".everyone <message>",
+  groupOnly: true,
+  adminOnly: true,
 })(async (message, match) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-    if (!message.isAdmin && !message.isfromMe)
-      return message.send(theme.isAdmin);
-
     const text = match || "📢 *ATTENTION EVERYONE*";
     const participants = message.groupParticipants;
 
@@ -1067,12 +989,9 @@ Module({
   aliases: ["admintag"],
   description: "Tag all admins",
   usage: ".tagadmins <message>",
+  groupOnly: true,
 })(async (message, match) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-
     const text = match || "👑 *ADMIN ATTENTION NEEDED*";
     let tagText = `${text}\n\n`;
 
@@ -1091,14 +1010,10 @@ Module({
   command: "totag",
   package: "group",
   description: "Tag users by replying to their message",
+  groupOnly: true,
+  adminOnly: true,
 })(async (message) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-    if (!message.isAdmin && !message.isfromMe)
-      return message.send(theme.isAdmin);
-
     if (!message.quoted) {
       return message.send("❌ _Reply to a message to use this command_");
     }
@@ -1148,12 +1063,9 @@ Module({
   package: "group",
   aliases: ["gstats"],
   description: "Get group statistics",
+  groupOnly: true,
 })(async (message) => {
   try {
-    await message.loadGroupInfo();
-
-    if (!message.isGroup) return message.send(theme.isGroup);
-
     const totalMembers = message.groupParticipants.length;
     const admins = message.groupAdmins.length;
     const regular = totalMembers - admins;
@@ -1,6 +1,6 @@
 // plugins/welcome-goodbye.js
 import { Module } from "../lib/plugins.js";
-import { db } from "../lib/client.js";
+import { settings } from "../lib/client.js";
 import axios from "axios";
 import { jidNormalizedUser } from "@whiskeysockets/baileys";
 
@@ -117,10 +117,7 @@ Module({
   const raw = (match || "").trim().toLowerCase();
   if (!raw) {
     // read current
-    const botNumber = (message.conn?.user?.id && String(message.conn.user.id).split(":")[0]) || "bot";
-    const key = `group:${groupJid}:welcome`;
-    const cfg = await db.getAsync(botNumber, key, null);
-    const status = cfg && typeof cfg === "object" ? toBool(cfg.status) : false;
+    const status = toBool(settings.get(message, "welcome", groupJid));
     return await message.sendreply?.(`Welcome is ${status ? "✅ ON" : "❌ OFF"} for this group.`);
   }
 
@@ -128,10 +125,7 @@ Module({
     return await message.send?.("❌ Invalid option. Use `on` or `off`.");
   }
 
-  const botNumber = (message.conn?.user?.id && String(message.conn.user.id).split(":")[0]) || "bot";
-  const key = `group:${groupJid}:welcome`;
-  const cfg = { status: raw === "on" };
-  await db.set(botNumber, key, cfg);
+  const cfg = { status: settings.set(message, "welcome", raw === "on", groupJid) };
   await message.react?.("✅");
   return await message.send(cfg.status ? "✅ Welcome ENABLED for this group" : "❌ Welcome DISABLED for this group");
 });
@@ -152,10 +146,7 @@ Module({
 
   const raw = (match || "").trim().toLowerCase();
   if (!raw) {
-    const botNumber = (message.conn?.user?.id && String(message.conn.user.id).split(":")[0]) || "bot";
-    const key = `group:${groupJid}:goodbye`;
-    const cfg = await db.getAsync(botNumber, key, null);
-    const status = cfg && typeof cfg === "object" ? toBool(cfg.status) : false;
+    const status = toBool(settings.get(message, "goodbye", groupJid));
     return await message.sendreply?.(`Goodbye is ${status ? "✅ ON" : "❌ OFF"} for this group.`);
   }
 
@@ -163,10 +154,7 @@ Module({
     return await message.send?.("❌ Invalid option. Use `on` or `off`.");
   }
 
-  const botNumber = (message.conn?.user?.id && String(message.conn.user.id).split(":")[0]) || "bot";
-  const key = `group:${groupJid}:goodbye`;
-  const cfg = { status: raw === "on" };
-  await db.set(botNumber, key, cfg);
+  const cfg = { status: settings.set(message, "goodbye", raw === "on", groupJid) };
   await message.react?.("✅");
   return await message.send(cfg.status ? "✅ Goodbye ENABLED for this group" : "❌ Goodbye DISABLED for this group");
 });
@@ -189,8 +177,6 @@ Module({ on: "group-participants.update" })(async (_msg, event, conn) => {
         ? event.groupMetadata.participants.length
         : 0;
 
-    // compute botNumber same as commands
-    const botNumber = (conn?.user?.id && String(conn.user.id).split(":")[0]) || "bot";
     const action = String(event.action).toLowerCase();
     const botJidFull = jidNormalizedUser(conn?.user?.id);
 
@@ -201,9 +187,7 @@ Module({ on: "group-participants.update" })(async (_msg, event, conn) => {
 
       // WELCOME (add/invite/join)
       if (action === "add" || action === "invite" || action === "joined") {
-        const key = `group:${groupJid}:welcome`;
-        const cfgRaw = await db.getAsync(botNumber, key, null);
-        const enabled = cfgRaw && typeof cfgRaw === "object" ? toBool(cfgRaw.status) : false;
+        const enabled = toBool(settings.get(conn, "welcome", groupJid));
         if (!enabled) continue;
 
         const mentionText = `@${participantJid.split("@")[0]}`;
@@ -222,9 +206,7 @@ Module({ on: "group-participants.update" })(async (_msg, event, conn) => {
 
       // GOODBYE (remove/leave/left/kicked)
       if (action === "remove" || action === "leave" || action === "left" || action === "kicked") {
-        const key = `group:${groupJid}:goodbye`;
-        const cfgRaw = await db.getAsync(botNumber, key, null);
-        const enabled = cfgRaw && typeof cfgRaw === "object" ? toBool(cfgRaw.status) : false;
+        const enabled = toBool(settings.get(conn, "goodbye", groupJid));
         if (!enabled) continue;
 
         const mentionText = `@${participantJid.split("@")[0]}`;
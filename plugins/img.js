@@ -5,6 +5,7 @@ Module({
   command: "img",
   package: "search",
   description: "Search and download original quality images from Google",
+  cooldown: "10s",
 })(async (message, match) => {
   if (!match) {
     return await message.sendReply(
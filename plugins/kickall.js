@@ -91,20 +91,9 @@ Module({
   command: "kickall",
   package: "group",
   description: "Kick all non-admin users at once (no safety confirmation)",
+  adminOnly: true,
+  botAdminRequired: true,
 })(async (message) => {
-  // ensure we have group info in message object if possible
-  try {
-    if (typeof message.loadGroupInfo === "function")
-      await message.loadGroupInfo();
-  } catch (e) {
-    // ignore
-  }
-
-  if (!message.isGroup) return message.send("❌ Group only");
-  if (!message.isAdmin && !message.isFromMe)
-    return message.send("❌ Admin only");
-  if (!message.isBotAdmin) return message.send("❌ Bot must be admin");
-
   const md = await getGroupMetadata(message);
   if (!md) return message.send("❌ No participants found");
 
@@ -1,7 +1,10 @@
 import os from "os";
-import { Module, getCommands } from "../lib/plugins.js";
+import { Module, getCommands, getAliases } from "../lib/plugins.js";
+import { findCommand, helpText, renderHelp, suggestCommands } from "../lib/help.js";
+import { getTheme } from "../Themes/themes.js";
+import { formatPrefixes, prefixesFor, primaryPrefix } from "../lib/prefix.js";
 import { getRandomPhoto } from "./bin/menu_img.js";
-import config from "../config.js";
+import { settings } from "../lib/client.js";
 
 const name = "X-kira ━ 𝐁𝕺𝐓";
 const runtime = (secs) => {
@@ -13,6 +16,12 @@ const runtime = (secs) => {
 };
 const readMore = String.fromCharCode(8206).repeat(4001);
 
+// "kick (remove, out)" - only aliases that still resolve to this command
+const withAliases = (cmd) => {
+  const aliases = getAliases(cmd);
+  return aliases.length ? `${cmd.command} (${aliases.join(", ")})` : cmd.command;
+};
+
 // Build grouped commands from current plugin list (uses snapshot getter)
 function buildGroupedCommands() {
   const cmds = getCommands();
@@ -21,7 +30,7 @@ function buildGroupedCommands() {
     .reduce((acc, cmd) => {
       const pkg = (cmd.package || "uncategorized").toString().toLowerCase();
       if (!acc[pkg]) acc[pkg] = [];
-      acc[pkg].push(cmd.command);
+      acc[pkg].push(withAliases(cmd));
       return acc;
     }, {});
 }
@@ -37,7 +46,7 @@ Module({
     const time = new Date().toLocaleTimeString("en-ZA", {
       timeZone: "Africa/Johannesburg",
     });
-    const mode = config.WORK_TYPE || process.env.WORK_TYPE;
+    const mode = settings.get(message, "mode");
     const userName = message.pushName || "User";
     const usedGB = ((os.totalmem() - os.freemem()) / 1073741824).toFixed(2);
     const totGB = (os.totalmem() / 1073741824).toFixed(2);
@@ -61,8 +70,8 @@ Module({
       _cmd_st += `
 *╭══〘〘 ${name} 〙〙*
 *┃❍ ʀᴜɴ     :* ${runtime(process.uptime())}
-*┃❍ ᴍᴏᴅᴇ    :* Public
-*┃❍ ᴘʀᴇғɪx  :* ${config.prefix}
+*┃❍ ᴍᴏᴅᴇ    :* ${mode.charAt(0).toUpperCase() + mode.slice(1)}
+*┃❍ ᴘʀᴇғɪx  :* ${formatPrefixes(prefixesFor(settings, message))}
 *┃❍ ʀᴀᴍ     :* ${ram}
 *┃❍ ᴛɪᴍᴇ    :* ${time}
 *┃❍ ᴜsᴇʀ    :* ${userName}
@@ -128,7 +137,7 @@ Module({
   try {
     const aca = getCommands()
       .filter((cmd) => cmd && cmd.command && cmd.command !== "undefined")
-      .map((cmd) => cmd.command)
+      .map(withAliases)
       .join("\n");
     await message.conn.sendMessage(message.from, {
       text: `*List:*\n${aca}`,
@@ -175,3 +184,30 @@ Module({
     });
   }
 });
+
+// Help command - usage of a single command, generated from its Module() metadata
+Module({
+  command: "help",
+  package: "general",
+  description: "Show how to use a command",
+  args: [{ name: "command" }],
+  examples: ["{prefix}help menu", "{prefix}help disappear"],
+})(async (message, match, { args } = {}) => {
+  const theme = getTheme();
+  const prefix = primaryPrefix(prefixesFor(settings, message));
+  const name = (args?.command || "").replace(/^[^\p{L}\p{N}]+/u, "");
+  if (!name) return await message.send(helpText(theme, "intro", { prefix }));
+
+  const plugin = findCommand(name);
+  if (plugin) return await message.send(renderHelp(plugin, { prefix, theme }));
+
+  const suggestions = suggestCommands(name);
+  return await message.send(
+    suggestions.length
+      ? helpText(theme, "didYouMean", {
+          command: prefix + name,
+          suggestions: suggestions.map((s) => `*${prefix}${s}*`).join(", "),
+        })
+      : helpText(theme, "notFound", { command: prefix + name })
+  );
+});
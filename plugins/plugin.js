@@ -0,0 +1,33 @@
+import { Module, listPluginFiles, resetTrips } from "../lib/plugins.js";
+
+// reload / enable / disable change plugins for every paired number, so they
+// are operator actions: POST /plugins/:file/{reload,enable,disable} (admin key)
+const usage =
+  "Use:\n• plugin list\n• plugin reset <command> (after it was stopped on this number)\n\n" +
+  "Reload, enable or disable plugin files with the HTTP API: POST /plugins/<file>/reload|enable|disable";
+
+// 🔹 Loaded plugin files, and this number's circuit breaker trips
+Module({
+  command: "plugin",
+  package: "owner",
+  aliases: ["plugins"],
+  description: "List the loaded plugin files, or reset a command stopped after errors",
+  owner: true,
+})(async (message, match) => {
+  const [action = "list", id] = (match || "").trim().split(/\s+/).filter(Boolean);
+
+  if (action === "reset") {
+    const reset = resetTrips(message._sessionId, id);
+    if (!reset.length) return await message.send(id ? `*${id}* isn't stopped on this number` : "Nothing is stopped on this number");
+    return await message.send(`✅ Running again: ${reset.join(", ")}`);
+  }
+
+  if (action !== "list") return await message.send(usage);
+
+  const lines = listPluginFiles(message._sessionId).map(
+    (p) =>
+      `${p.enabled ? "✅" : "⛔"} ${p.file} (${p.commands.length})` +
+      (p.tripped.length ? `\n   ⚠️ stopped after errors: ${p.tripped.join(", ")}` : "")
+  );
+  return await message.send(`🧩 *Plugins*\n\n${lines.join("\n") || "none loaded"}\n\n${usage}`);
+});
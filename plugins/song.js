@@ -35,12 +35,12 @@ async function tryApis(apiList, buildUrlFn, options = {}) {
 }
 
 // Helper function to download video using the new API
-async function downloadYtVideo(url, resolution = "720p") {
+async function downloadYtVideo(url, resolution = "720p", signal) {
   console.log(url);
   const apiUrl = `https://api.privatezia.biz.id/api/downloader/ytmp4?url=${encodeURIComponent(
     url
   )}&resolution=${resolution}`;
-  const response = await axios.get(apiUrl);
+  const response = await axios.get(apiUrl, { signal });
 
   if (!response.data || !response.data.success) {
     throw new Error("Failed to fetch video data from API");
@@ -106,11 +106,11 @@ async function ytSearch(query, max = 10) {
     publishedAt: vid.snippet.publishedAt,
   }));
 }
-async function downloadYtAudio(query) {
+async function downloadYtAudio(query, signal) {
   const apiUrl = `https://api.privatezia.biz.id/api/downloader/ytplaymp3?query=${encodeURIComponent(
     query
   )}`;
-  const response = await axios.get(apiUrl);
+  const response = await axios.get(apiUrl, { signal });
 
   if (!response.data || !response.data.status) {
     throw new Error("Failed to fetch audio data from API");
@@ -118,7 +118,7 @@ async function downloadYtAudio(query) {
 
   return response.data.result;
 }
-async function handleSongDownload(conn, input, message) {
+async function handleSongDownload(conn, input, message, signal) {
   let videoUrl = input;
   let videoInfo = null;
 
@@ -130,12 +130,13 @@ async function handleSongDownload(conn, input, message) {
     await message.react("🔍");
 
     try {
-      const audioData = await downloadYtAudio(input);
+      const audioData = await downloadYtAudio(input, signal);
 
       // Download the audio file
       await message.react("⬇️");
       const audioBuffer = await axios.get(audioData.downloadUrl, {
         responseType: "arraybuffer",
+        signal,
       });
 
       // Send audio with thumbnail and link preview
@@ -153,7 +154,7 @@ async function handleSongDownload(conn, input, message) {
               .toString()
               .padStart(2, "0")} | Quality: ${audioData.quality}`,
             thumbnail: await axios
-              .get(audioData.thumbnail, { responseType: "arraybuffer" })
+              .get(audioData.thumbnail, { responseType: "arraybuffer", signal })
               .then((res) => Buffer.from(res.data)),
             mediaType: 2,
             mediaUrl: audioData.videoUrl,
@@ -162,6 +163,8 @@ async function handleSongDownload(conn, input, message) {
         },
       });
     } catch (error) {
+      // the command timed out; don't start another download
+      if (signal?.aborted) throw error;
       // Fallback to old method if new API fails
       console.log("New API failed, falling back to old method:", error.message);
       await fallbackSongDownload(conn, input, message);
@@ -172,7 +175,7 @@ async function handleSongDownload(conn, input, message) {
   }
 }
 // Helper function to handle video downloads
-async function handleVideoDownload(conn, input, message, resolution = "720p") {
+async function handleVideoDownload(conn, input, message, resolution = "720p", signal) {
   let videoUrl = input;
   // Check if input is a URL or search query
   const urlRegex = /(?:youtube\.com\/.*v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
@@ -187,14 +190,16 @@ async function handleVideoDownload(conn, input, message, resolution = "720p") {
   }
   // Download video
   await message.send(`⬇️ Downloading video in ${resolution}...`);
-  const videoData = await downloadYtVideo(videoUrl, resolution);
+  const videoData = await downloadYtVideo(videoUrl, resolution, signal);
   // Download the video file
   const videoBuffer = await axios.get(videoData.download_url, {
     responseType: "arraybuffer",
+    signal,
   });
   // Get thumbnail
   const thumbnailBuffer = await axios.get(videoData.thumbnail, {
     responseType: "arraybuffer",
+    signal,
   });
   // Send video with small link preview
   await conn.sendMessage(message.from, {
@@ -234,12 +239,15 @@ Module({
   command: "song",
   package: "downloader",
   description: "Download audio from YouTube",
-})(async (message, match) => {
+  cooldown: "20s",
+  timeout: "3m",
+})(async (message, match, { signal } = {}) => {
   if (!match) return message.send("_need a yt url or song name_");
   let input = match.trim();
   try {
-    await handleSongDownload(message.conn, input, message);
+    await handleSongDownload(message.conn, input, message, signal);
   } catch (err) {
+    if (signal?.aborted) return; // the dispatcher already reported the timeout
     console.error("[PLUGIN SONG] Error:", err?.message || err);
     await message.send("⚠️ Song download failed. Please try again later.");
   }
@@ -248,12 +256,14 @@ Module({
   command: "mp4",
   package: "downloader",
   description: "Download YouTube MP4",
-})(async (message, match) => {
+  timeout: "3m",
+})(async (message, match, { signal } = {}) => {
   if (!match) return message.send("_need a yt url or video name_");
   let input = match.trim();
   try {
-    await handleVideoDownload(message.conn, input, message, "720p");
+    await handleVideoDownload(message.conn, input, message, "720p", signal);
   } catch (err) {
+    if (signal?.aborted) return; // the dispatcher already reported the timeout
     console.error("[PLUGIN MP4] Error:", err?.message || err);
     await message.send("⚠️ Video download failed. Please try again later.");
   }
@@ -262,12 +272,15 @@ Module({
   command: "video",
   package: "downloader",
   description: "Download YouTube Video",
-})(async (message, match) => {
+  cooldown: "20s",
+  timeout: "3m",
+})(async (message, match, { signal } = {}) => {
   if (!match) return message.send("_need a yt url or video name_");
   let input = match.trim();
   try {
-    await handleVideoDownload(message.conn, input, message, "720p");
+    await handleVideoDownload(message.conn, input, message, "720p", signal);
   } catch (err) {
+    if (signal?.aborted) return; // the dispatcher already reported the timeout
     console.error("[PLUGIN VIDEO] Error:", err?.message || err);
     await message.send("⚠️ Video download failed. Please try again later.");
   }
@@ -276,12 +289,15 @@ Module({
   command: "ytv",
   package: "downloader",
   description: "Download YouTube Video",
-})(async (message, match) => {
+  cooldown: "20s",
+  timeout: "3m",
+})(async (message, match, { signal } = {}) => {
   if (!match) return message.send("_need a yt url or video name_");
   let input = match.trim();
   try {
-    await handleVideoDownload(message.conn, input, message, "720p");
+    await handleVideoDownload(message.conn, input, message, "720p", signal);
   } catch (err) {
+    if (signal?.aborted) return; // the dispatcher already reported the timeout
     console.error("[PLUGIN YTV] Error:", err?.message || err);
     await message.send("⚠️ Video download failed. Please try again later.");
   }
@@ -290,12 +306,15 @@ Module({
   command: "yta",
   package: "downloader",
   description: "Download YouTube Audio",
-})(async (message, match) => {
+  cooldown: "20s",
+  timeout: "3m",
+})(async (message, match, { signal } = {}) => {
   if (!match) return message.send("_need a yt url or song name_");
   let input = match.trim();
   try {
-    await handleSongDownload(message.conn, input, message);
+    await handleSongDownload(message.conn, input, message, signal);
   } catch (err) {
+    if (signal?.aborted) return; // the dispatcher already reported the timeout
     console.error("[PLUGIN YTA] Error:", err?.message || err);
     await message.send("⚠️ Audio download failed. Please try again later.");
   }
@@ -304,12 +323,15 @@ Module({
   command: "ytmp3",
   package: "downloader",
   description: "Download YouTube MP3",
-})(async (message, match) => {
+  cooldown: "20s",
+  timeout: "3m",
+})(async (message, match, { signal } = {}) => {
   if (!match) return message.send("_need a yt url or song name_");
   let input = match.trim();
   try {
-    await handleSongDownload(message.conn, input, message);
+    await handleSongDownload(message.conn, input, message, signal);
   } catch (err) {
+    if (signal?.aborted) return; // the dispatcher already reported the timeout
     console.error("[PLUGIN YTMP3] Error:", err?.message || err);
     await message.send("⚠️ MP3 download failed. Please try again later.");
   }
@@ -320,6 +342,7 @@ Module({
   package: "downloader",
   description:
     "Download YouTube song using multiple APIs (PrivateZia / Zen / Finix)",
+  cooldown: "20s",
 })(async (message, match) => {
   const q = (match || "").trim();
   if (!q)
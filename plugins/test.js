@@ -9,10 +9,9 @@ Module({
   command: "myprivacy",
   package: "owner",
   description: "Manage WhatsApp privacy settings",
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
-
     if (!match) {
       const help = `
 ╭━━━「 *PRIVACY SETTINGS* 」━━━┈⊷
@@ -178,10 +177,9 @@ Module({
   command: "vv",
   package: "view-once",
   description: "View once media (view and download)",
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
-
     if (!message.quoted) {
       return message.send("_Reply to a view once message_");
     }
@@ -279,6 +277,7 @@ Module({
   command: "vv2",
   package: "view-once",
   description: "View once media (view and download)",
+  owner: true,
 })(async (message) => {
   try {
     const baileys = await import("baileys");
@@ -286,10 +285,6 @@ Module({
 
     const jid = jidNormalizedUser(message.conn.user.id);
 
-    if (!message.isfromMe) {
-      return message.conn.sendMessage(message.from, { text: theme.isfromMe });
-    }
-
     if (!message.quoted) {
       return message.conn.sendMessage(jid, {
         text: "_Reply to a view once message_",
@@ -385,16 +380,13 @@ Module({
   command: "😂",
   package: "view-once",
   description: "View once media (view and download)",
+  owner: true,
 })(async (message) => {
   try {
     const baileys = await import("baileys");
     const { downloadContentFromMessage, jidNormalizedUser } = baileys;
 
     const jid = jidNormalizedUser(message.conn.user.id);
-    if (!message.isfromMe) {
-      return message.conn.sendMessage(message.from, { text: theme.isfromMe });
-    }
-
     if (!message.quoted) {
       return message.conn.sendMessage(jid, {
         text: "_Reply to a view once message_",
@@ -490,16 +482,13 @@ Module({
   command: "😀",
   package: "view-once",
   description: "View once media (view and download)",
+  owner: true,
 })(async (message) => {
   try {
     const baileys = await import("baileys");
     const { downloadContentFromMessage, jidNormalizedUser } = baileys;
 
     const jid = jidNormalizedUser(message.conn.user.id);
-    if (!message.isfromMe) {
-      return message.conn.sendMessage(message.from, { text: theme.isfromMe });
-    }
-
     if (!message.quoted) {
       return message.conn.sendMessage(jid, {
         text: "_Reply to a view once message_",
@@ -591,7 +580,7 @@ Module({
   }
 });
 
-Module({ on: "text" })(async (message) => {
+Module({ on: "text", owner: true })(async (message) => {
   try {
     const text = (message.body || "").trim();
     const triggerEmojis = ["👍", "😀", "🙂", "😂"];
@@ -601,9 +590,6 @@ Module({ on: "text" })(async (message) => {
       const { downloadContentFromMessage, jidNormalizedUser } = baileys;
 
       const jid = jidNormalizedUser(message.conn.user.id);
-      if (!message.isfromMe) {
-        return;
-      }
       if (!message.quoted) {
         return;
       }
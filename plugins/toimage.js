@@ -172,7 +172,7 @@ const simpleVideoFrameExtraction = async (videoBuffer) => {
 /**
  * ✅ Convert sticker to image (WebP to PNG/JPEG)
  */
-const convertStickerToImage = async (stickerBuffer, format = "png") => {
+const convertStickerToImage = async (stickerBuffer, format = "png", signal) => {
   const tempFiles = [];
 
   try {
@@ -199,7 +199,7 @@ const convertStickerToImage = async (stickerBuffer, format = "png") => {
       command = `convert "${inputPath}" "${outputPath}"`;
     }
 
-    await execAsync(command);
+    await execAsync(command, { signal });
 
     if (!fs.existsSync(outputPath)) {
       throw new Error("Conversion output file not found");
@@ -208,6 +208,7 @@ const convertStickerToImage = async (stickerBuffer, format = "png") => {
     const outputBuffer = fs.readFileSync(outputPath);
     return outputBuffer;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error("Sticker conversion error:", error);
     // Fallback to simple conversion
     return await simpleStickerConversion(stickerBuffer);
@@ -219,7 +220,7 @@ const convertStickerToImage = async (stickerBuffer, format = "png") => {
 /**
  * ✅ Extract frame from video
  */
-const extractVideoFrame = async (videoBuffer, timestamp = "00:00:01") => {
+const extractVideoFrame = async (videoBuffer, timestamp = "00:00:01", signal) => {
   const tempFiles = [];
 
   try {
@@ -240,7 +241,8 @@ const extractVideoFrame = async (videoBuffer, timestamp = "00:00:01") => {
 
     // Extract frame at specific timestamp
     await execAsync(
-      `ffmpeg -i "${inputPath}" -ss ${timestamp} -vframes 1 -q:v 2 -y "${outputPath}"`
+      `ffmpeg -i "${inputPath}" -ss ${timestamp} -vframes 1 -q:v 2 -y "${outputPath}"`,
+      { signal }
     );
 
     if (!fs.existsSync(outputPath)) {
@@ -250,6 +252,7 @@ const extractVideoFrame = async (videoBuffer, timestamp = "00:00:01") => {
     const outputBuffer = fs.readFileSync(outputPath);
     return outputBuffer;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error("Video frame extraction error:", error);
     return await simpleVideoFrameExtraction(videoBuffer);
   } finally {
@@ -260,14 +263,14 @@ const extractVideoFrame = async (videoBuffer, timestamp = "00:00:01") => {
 /**
  * ✅ Enhanced media type detection and conversion
  */
-const detectAndConvertMedia = async (quoted, match = "") => {
+const detectAndConvertMedia = async (quoted, match = "", signal) => {
   const mediaType = quoted.type;
   let buffer,
     caption = "";
 
   switch (mediaType) {
     case "stickerMessage":
-      buffer = await convertStickerToImage(await downloadMedia(quoted));
+      buffer = await convertStickerToImage(await downloadMedia(quoted), "png", signal);
       caption = `${IMAGE_EMOJIS.STICKER} *Sticker → Image*`;
       break;
 
@@ -275,7 +278,7 @@ const detectAndConvertMedia = async (quoted, match = "") => {
       const timestamp = match?.includes("frame")
         ? match.split(" ")[1] || "00:00:01"
         : "00:00:01";
-      buffer = await extractVideoFrame(await downloadMedia(quoted), timestamp);
+      buffer = await extractVideoFrame(await downloadMedia(quoted), timestamp, signal);
       caption = `${IMAGE_EMOJIS.VIDEO} *Video Frame → Image*\n${IMAGE_EMOJIS.FRAME} Timestamp: ${timestamp}`;
       break;
 
@@ -309,7 +312,8 @@ Module({
   aliases: ["toimg", "convert", "sticker2img", "video2img"],
   description: "Convert stickers, videos, documents to images",
   usage: `.toimage [options]\n\nOptions:\n- .toimage (reply to sticker/video/doc)\n- .toimage filter <filter_name>\n- .toimage resize <width>x<height>\n- .toimage quality <high|medium|low>\n- .toimage frame <timestamp>`,
-})(async (message, match) => {
+  timeout: "90s",
+})(async (message, match, { signal } = {}) => {
   let tempFiles = [];
 
   try {
@@ -322,7 +326,7 @@ Module({
 
     await message.react(IMAGE_EMOJIS.LOADING);
     const { buffer: imageBuffer, caption: baseCaption } =
-      await detectAndConvertMedia(message.quoted, match);
+      await detectAndConvertMedia(message.quoted, match, signal);
 
     if (!imageBuffer || imageBuffer.length === 0) {
       throw new Error("Conversion produced empty result");
@@ -436,7 +440,8 @@ Module({
   package: "media",
   description: "Quick convert sticker to image",
   usage: ".sticker2img (reply to sticker)",
-})(async (message) => {
+  timeout: "90s",
+})(async (message, match, { signal } = {}) => {
   if (!message.quoted || !message.quoted.type.includes("sticker")) {
     return await message.send(
       `${IMAGE_EMOJIS.ERROR} *Reply to Sticker*\n\n${IMAGE_EMOJIS.STICKER} Please reply to a sticker message`
@@ -445,7 +450,7 @@ Module({
   // Directly handle sticker conversion
   try {
     const buf = await downloadMedia(message.quoted);
-    const out = await convertStickerToImage(buf, 'png');
+    const out = await convertStickerToImage(buf, 'png', signal);
     await message.send({ image: out, caption: `${IMAGE_EMOJIS.SUCCESS} Sticker converted to image` });
   } catch (e) {
     await message.send(`${IMAGE_EMOJIS.ERROR} Conversion failed: ${e.message}`);
@@ -457,7 +462,8 @@ Module({
   package: "media",
   description: "Quick convert video to image frame",
   usage: ".video2img (reply to video)",
-})(async (message) => {
+  timeout: "90s",
+})(async (message, match, { signal } = {}) => {
   if (!message.quoted || !message.quoted.type.includes("video")) {
     return await message.send(
       `${IMAGE_EMOJIS.ERROR} *Reply to Video*\n\n${IMAGE_EMOJIS.VIDEO} Please reply to a video message`
@@ -466,7 +472,7 @@ Module({
   // Directly handle video frame extraction
   try {
     const buf = await downloadMedia(message.quoted);
-    const out = await extractVideoFrame(buf, '00:00:01');
+    const out = await extractVideoFrame(buf, '00:00:01', signal);
     await message.send({ image: out, caption: `${IMAGE_EMOJIS.SUCCESS} Video frame extracted` });
   } catch (e) {
     await message.send(`${IMAGE_EMOJIS.ERROR} Conversion failed: ${e.message}`);
@@ -1,31 +1,22 @@
 import { Module } from "../lib/plugins.js";
 // old personalDB removed
 import config from "../config.js";
-import { getTheme } from "../Themes/themes.js";
-// <-- IMPORT YOUR DB INSTANCE HERE (adjust path if needed)
-import { db } from "../lib/client.js";
-
-const theme = getTheme();
-
-// helper to resolve bot number safely
-function resolveBotNumber(conn) {
-  // prefer conn.id if provided, else fallback to conn.user.id split
-  if (!conn) return null;
-  if (conn.id) return String(conn.id);
-  if (conn.user && conn.user.id) return String(conn.user.id).split(":")[0];
-  return null;
-}
+// settings are keyed by session id; see lib/settings.js
+import { settings, sudoList } from "../lib/client.js";
+import { WORK_MODES } from "../lib/settings.js";
+import { numberList } from "../lib/permissions.js";
+import { DEFAULT_PREFIXES, formatPrefixes, parsePrefixes, prefixesFor } from "../lib/prefix.js";
+import { jidNormalizedUser } from "@whiskeysockets/baileys";
+import { authStore } from "../lib/createSocket.js";
+import { exportSession } from "../lib/sessionString.js";
 
 // 🔹 Auto Status Seen
 Module({
   command: "autostatus",
   package: "owner",
   description: "Toggle auto view WhatsApp status",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
-  const botNumber = resolveBotNumber(message.conn);
-  if (!botNumber) return message.send("❌ Bot number not found.");
-
   const input = match?.trim().toLowerCase();
 
   const key = "autostatus_seen"; // hot-key name used in handler
@@ -33,8 +24,7 @@ Module({
   if (input === "on" || input === "off") {
     await message.react("⏳");
     try {
-      if (input === "on") db.setHot(botNumber, key, true);
-      else db.delHot(botNumber, key);
+      settings.set(message, key, input === "on");
       await message.react("✅");
       return await message.send(
         `✅ *Auto status view is now \`${input.toUpperCase()}\`*`
@@ -45,7 +35,7 @@ Module({
     }
   }
 
-  const status = db.get(botNumber, key, false) === true;
+  const status = settings.get(message, key) === true;
   return await message.send(
     `⚙️ *Auto Status View*\n> Status: ${
       status ? "✅ ON" : "❌ OFF"
@@ -58,19 +48,15 @@ Module({
   command: "autotyping",
   package: "owner",
   description: "Toggle auto typing in chats",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
-  const botNumber = resolveBotNumber(message.conn);
-  if (!botNumber) return message.send("❌ Bot number not found.");
-
   const input = match?.trim().toLowerCase();
   const key = "autotyping";
 
   if (input === "on" || input === "off") {
     await message.react("⏳");
     try {
-      if (input === "on") db.setHot(botNumber, key, true);
-      else db.delHot(botNumber, key);
+      settings.set(message, key, input === "on");
       await message.react("✅");
       return await message.send(
         `✅ *Auto typing is now \`${input.toUpperCase()}\`*`
@@ -81,7 +67,7 @@ Module({
     }
   }
 
-  const status = db.get(botNumber, key, false) === true;
+  const status = settings.get(message, key) === true;
   return await message.send(
     `⚙️ *Auto Typing*\n> Status: ${
       status ? "✅ ON" : "❌ OFF"
@@ -94,19 +80,15 @@ Module({
   command: "autorecord",
   package: "owner",
   description: "Toggle auto voice recording in chats",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
-  const botNumber = resolveBotNumber(message.conn);
-  if (!botNumber) return message.send("❌ Bot number not found.");
-
   const input = match?.trim().toLowerCase();
   const key = "autorecord";
 
   if (input === "on" || input === "off") {
     await message.react("⏳");
     try {
-      if (input === "on") db.setHot(botNumber, key, true);
-      else db.delHot(botNumber, key);
+      settings.set(message, key, input === "on");
       await message.react("✅");
       return await message.send(
         `✅ *Auto record is now \`${input.toUpperCase()}\`*`
@@ -117,7 +99,7 @@ Module({
     }
   }
 
-  const status = db.get(botNumber, key, false) === true;
+  const status = settings.get(message, key) === true;
   return await message.send(
     `🎤 *Auto Record*\n> Status: ${
       status ? "✅ ON" : "❌ OFF"
@@ -130,19 +112,15 @@ Module({
   command: "autoreact",
   package: "owner",
   description: "Toggle auto react to messages",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
-  const botNumber = resolveBotNumber(message.conn);
-  if (!botNumber) return message.send("❌ Bot number not found.");
-
   const input = match?.trim().toLowerCase();
   const key = "autoreact";
 
   if (input === "on" || input === "off") {
     await message.react("⏳");
     try {
-      if (input === "on") db.setHot(botNumber, key, true);
-      else db.delHot(botNumber, key);
+      settings.set(message, key, input === "on");
       await message.react("✅");
       return await message.send(
         `✅ *AutoReact is now \`${input.toUpperCase()}\`*`
@@ -153,7 +131,7 @@ Module({
     }
   }
 
-  const status = db.get(botNumber, key, false) === true;
+  const status = settings.get(message, key) === true;
   return await message.send(
     `⚙️ *AutoReact*\n> Status: ${
       status ? "✅ ON" : "❌ OFF"
@@ -166,19 +144,15 @@ Module({
   command: "anticall",
   package: "owner",
   description: "Block users who call the bot",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
-  const botNumber = resolveBotNumber(message.conn);
-  if (!botNumber) return message.send("❌ Bot number not found.");
-
   const input = match?.trim().toLowerCase();
   const key = "anticall";
 
   if (input === "on" || input === "off") {
     await message.react("⏳");
     try {
-      if (input === "on") db.setHot(botNumber, key, true);
-      else db.delHot(botNumber, key);
+      settings.set(message, key, input === "on");
       await message.react("✅");
       return await message.send(
         `✅ *AntiCall is now \`${input.toUpperCase()}\`*`
@@ -189,7 +163,7 @@ Module({
     }
   }
 
-  const status = db.get(botNumber, key, false) === true;
+  const status = settings.get(message, key) === true;
   return await message.send(
     `⚙️ *AntiCall*\n> Status: ${
       status ? "✅ ON" : "❌ OFF"
@@ -202,19 +176,15 @@ Module({
   command: "autoread",
   package: "owner",
   description: "Toggle auto read messages",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
-  const botNumber = resolveBotNumber(message.conn);
-  if (!botNumber) return message.send("❌ Bot number not found.");
-
   const input = match?.trim().toLowerCase();
   const key = "autoread";
 
   if (input === "on" || input === "off") {
     await message.react("⏳");
     try {
-      if (input === "on") db.setHot(botNumber, key, true);
-      else db.delHot(botNumber, key);
+      settings.set(message, key, input === "on");
       await message.react("✅");
       return await message.send(
         `✅ *AutoRead is now \`${input.toUpperCase()}\`*`
@@ -225,21 +195,165 @@ Module({
     }
   }
 
-  const status = db.get(botNumber, key, false) === true;
+  const status = settings.get(message, key) === true;
   return await message.send(
     `⚙️ *AutoRead*\n> Status: ${
       status ? "✅ ON" : "❌ OFF"
     }\n\nUse:\n• autoread on\n• autoread off`
   );
 });
+// 🔹 Work Mode
+Module({
+  command: "mode",
+  package: "owner",
+  description: "Choose who can use the bot: public, private, groups or inbox",
+  owner: true,
+})(async (message, match) => {
+  const input = match?.trim().toLowerCase();
+
+  if (input) {
+    if (!WORK_MODES.includes(input)) {
+      return await message.send(`❌ *Unknown mode:* ${input}\n\nUse one of: ${WORK_MODES.join(", ")}`);
+    }
+    await message.react("⏳");
+    try {
+      settings.set(message, "mode", input);
+      await message.react("✅");
+      return await message.send(`✅ *Mode is now \`${input.toUpperCase()}\`*`);
+    } catch (e) {
+      await message.react("❌");
+      return await message.send("❌ *Error updating mode*");
+    }
+  }
+
+  const mode = settings.get(message, "mode");
+  return await message.send(
+    `⚙️ *Work Mode*\n> Current: ${mode.toUpperCase()}\n\n• public - everyone\n• private - owner & sudo only\n• groups - groups only\n• inbox - private chats only\n\nUse:\n• mode <name>`
+  );
+});
+
+// 🔹 Command Prefix
+Module({
+  command: "setprefix",
+  package: "owner",
+  aliases: ["prefix"],
+  description: "Set the command prefixes for this number, or for one chat with --chat",
+  owner: true,
+  args: { positional: [{ name: "prefixes", rest: true }], flags: { chat: { type: "boolean" } } },
+  examples: ["{prefix}setprefix . ! /", "{prefix}setprefix . none", "{prefix}setprefix --chat !", "{prefix}setprefix --chat reset"],
+})(async (message, match, { args } = {}) => {
+  const input = (args?.prefixes || "").trim();
+  const name = args?.chat ? "chatprefix" : "prefix";
+  const where = args?.chat ? "this chat" : "this number";
+
+  if (input) {
+    await message.react("⏳");
+    try {
+      if (input.toLowerCase() === "reset") settings.reset(message, name);
+      else settings.set(message, name, parsePrefixes(input));
+      await message.react("✅");
+      return await message.send(`✅ *Prefix for ${where}:* ${formatPrefixes(settings.get(message, name) || prefixesFor(settings, message))}`);
+    } catch (e) {
+      await message.react("❌");
+      return await message.send(`❌ *${e?.message || "Error updating prefix"}*`);
+    }
+  }
+
+  const own = settings.get(message, "chatprefix");
+  const session = settings.get(message, "prefix");
+  return await message.send(
+    `⚙️ *Command Prefix*\n> Number: ${formatPrefixes(session || DEFAULT_PREFIXES)}` +
+      (own ? `\n> This chat: ${formatPrefixes(own)}` : "") +
+      `\n\nUse:\n• setprefix . ! /\n• setprefix . none  _(owner & sudo may skip the prefix)_\n• setprefix --chat <prefixes|reset>\n• setprefix reset`
+  );
+});
+
+// 🔹 Sudo Users
+Module({
+  command: "sudo",
+  package: "owner",
+  description: "Add, remove or list sudo users for this number",
+  ownerOnly: true,
+  args: [
+    { name: "action", type: "enum", values: ["add", "remove", "list"], default: "list" },
+    { name: "user", type: "jid" },
+  ],
+  examples: ["{prefix}sudo add @user", "{prefix}sudo add 919812345678", "{prefix}sudo remove @user", "{prefix}sudo list"],
+})(async (message, match, { args } = {}) => {
+  const action = args?.action || "list";
+  const sid = message._sessionId;
+
+  if (action === "list") {
+    const fromEnv = numberList(config.sudo);
+    const lines = [
+      ...sudoList.list(sid).map((e) => `• +${e.pn || "?"}${e.lid ? ` _(lid ${e.lid})_` : ""}`),
+      ...fromEnv.map((n) => `• +${n} _(SUDO env)_`),
+    ];
+    return await message.send(`👑 *Sudo Users*\n\n${lines.join("\n") || "none"}\n\nUse:\n• sudo add @user|number\n• sudo remove @user|number`);
+  }
+
+  const jid = args?.user;
+  if (!jid) return await message.send(`❌ *Mention, reply to or type the number to ${action}*`);
+
+  await message.react("⏳");
+  try {
+    if (action === "remove") {
+      const removed = sudoList.remove(sid, jid);
+      await message.react(removed ? "✅" : "❌");
+      return await message.send(removed ? `✅ *+${removed.pn || removed.lid} is no longer sudo*` : "❌ *Not a sudo user*");
+    }
+    // keep both forms so the user is recognised however WhatsApp addresses them
+    const lid = message.isLidUser(jid) ? jid : await message.getLID(jid);
+    const pn = message.isLidUser(jid) ? await message.getPN(jid) : jid;
+    const added = sudoList.add(sid, { pn, lid });
+    await message.react("✅");
+    return await message.send(added ? `✅ *+${added.pn || added.lid} is now sudo*` : "ℹ️ *Already a sudo user*");
+  } catch (e) {
+    await message.react("❌");
+    return await message.send(`❌ *Error updating sudo:* ${e?.message || e}`);
+  }
+});
+
+// 🔹 Session string for SESSION_ID / GIST_URL (lib/sessionString.js)
+Module({
+  command: "getsession",
+  package: "owner",
+  aliases: ["sessionid"],
+  description: "Export this number's pairing as an encrypted session string for SESSION_ID or GIST_URL",
+  ownerOnly: true,
+  args: { flags: { essential: { type: "boolean" } } },
+  examples: ["{prefix}getsession", "{prefix}getsession --essential"],
+})(async (message, match, { args } = {}) => {
+  const self = jidNormalizedUser(message.conn?.user?.id || "");
+  if (!self) return await message.send("❌ *Bot number not found.*");
+  await message.react("⏳");
+  try {
+    const { text, keys } = await exportSession(authStore, message._sessionId, { essential: !!args?.essential });
+    // the string is as good as the pairing itself: it only ever goes to the owner's own chat
+    await message.conn.sendMessage(self, { text });
+    await message.conn.sendMessage(self, {
+      text:
+        `🔐 *Session string* (${keys} keys, ${text.length} chars)\n\nSet it as SESSION_ID (or put it in the file behind GIST_URL) together with the same SESSION_SECRET to restore this pairing after a redeploy. Anyone with both can use this number — don't share it.` +
+        (args?.essential
+          ? "\n\n⚠️ Essential keys only: after a restore, messages from new contacts can't be decrypted and existing chats need a while to recover."
+          : "\n\nToo long for an env var? Use GIST_URL, or --essential for a smaller string that loses some chats' keys."),
+    });
+    await message.react("✅");
+    if (message.from !== self) await message.send("✅ *Session string sent to your own chat.*");
+  } catch (e) {
+    await message.react("❌");
+    return await message.send(`❌ *Export failed:* ${e?.message || e}`);
+  }
+});
+
 /*
 // 🔹 Save Status
 Module({
   command: "savestatus",
   package: "owner",
   description: "Toggle auto save viewed statuses",
+  owner: true,
 })(async (message, match) => {
-  if (!message.isFromMe) return message.send(theme.isfromMe);
   const botNumber = resolveBotNumber(message.conn);
   if (!botNumber) return message.send("❌ Bot number not found.");
 
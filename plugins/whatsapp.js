@@ -1,15 +1,12 @@
 // filename: plugins/owner.js
 import { Module } from '../lib/plugins.js';
 import config from '../config.js';
-import { getTheme } from '../Themes/themes.js';
 import axios from 'axios';
 // static baileys helpers (static import as requested)
 import { jidNormalizedUser } from 'baileys';
 // some baileys releases don't export `copyNForward` — use runtime fallback
 let baileysCopyNForward = null;
 
-const theme = getTheme();
-
 // Utility: normalize JID from number or existing jid
 function normalizeJid(input) {
   if (!input) return null;
@@ -29,9 +26,9 @@ Module({
   package: 'owner',
   description: 'Block a user',
   usage: '.block <reply|tag|number>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     let jid =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -63,9 +60,9 @@ Module({
   package: 'owner',
   description: 'Unblock a user',
   usage: '.unblock <reply|tag|number>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     let jid =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -96,9 +93,9 @@ Module({
   command: 'blocklist',
   package: 'owner',
   description: 'Get list of blocked users',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     await message.react('⏳');
     const blockedUsers = (await message.conn.fetchBlocklist()) || [];
     if (!Array.isArray(blockedUsers) || blockedUsers.length === 0) {
@@ -129,9 +126,9 @@ Module({
   command: 'unblockall',
   package: 'owner',
   description: 'Unblock all blocked users',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const blocklist = (await message.conn.fetchBlocklist()) || [];
     if (!Array.isArray(blocklist) || blocklist.length === 0) {
       return message.send('ℹ️ No blocked users');
@@ -166,9 +163,9 @@ Module({
   aliases: ['setdp', 'setprofile'],
   description: 'Set bot profile picture',
   usage: '.setpp <reply to image | url>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     let buffer = null;
     if (match && match.startsWith('http')) {
       await message.react('⏳');
@@ -199,9 +196,9 @@ Module({
   package: 'owner',
   aliases: ['removedp', 'deletepp'],
   description: 'Remove bot profile picture',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     await message.react('⏳');
     const botJid = jidNormalizedUser(message.conn.user?.id || '');
     if (typeof message.conn.removeProfilePicture === 'function') {
@@ -224,9 +221,9 @@ Module({
   package: 'owner',
   description: 'Set bot display name',
   usage: '.setname <name>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!match || !match.trim()) {
       return message.send('❌ Provide new name\n\nExample: .setname MyBot');
     }
@@ -248,9 +245,9 @@ Module({
   command: 'myname',
   package: 'owner',
   description: "Get bot's current name",
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const botName = message.conn.user?.name || message.conn.user?.verifiedName || 'Name not set';
     await message.reply(`👤 My Current Name\n\n${botName}`);
   } catch (err) {
@@ -265,9 +262,9 @@ Module({
   aliases: ['setstatus', 'setabout'],
   description: 'Set bot status/bio',
   usage: '.setbio <text>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!match || !match.trim()) return message.send('❌ Provide bio text\n\nExample: .setbio Hello');
     if (match.length > 139) return message.send('❌ Bio too long (max 139 characters)');
     await message.react('⏳');
@@ -288,9 +285,9 @@ Module({
   package: 'owner',
   aliases: ['mybio'],
   description: "Get bot's current status/bio",
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const myJid = jidNormalizedUser(message.conn.user?.id || '');
     const status = await message.fetchStatus(myJid).catch(() => null);
     const bioText = status?.status || '_No status set_';
@@ -308,9 +305,9 @@ Module({
   aliases: ['bio', 'getstatus'],
   description: 'Get bio/status of a user',
   usage: '.getbio <reply|tag>',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const jid =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -338,9 +335,9 @@ Module({
   package: 'owner',
   description: 'Get username of mentioned user',
   usage: '.getname <reply|tag>',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const jid =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -373,9 +370,9 @@ Module({
   aliases: ['bc'],
   description: 'Broadcast message to all chats',
   usage: '.broadcast <message>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!match) return message.send('❌ Provide broadcast message\n\nExample: .broadcast Important announcement!');
     await message.react('⏳');
     const chats = await message.conn.groupFetchAllParticipating();
@@ -407,9 +404,9 @@ Module({
   package: 'owner',
   description: 'Forward quoted message to a chat',
   usage: '.forward <number>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!message.quoted) return message.send('❌ Reply to a message to forward');
     if (!match) return message.send('❌ Provide target number\n\nExample: .forward 1234567890');
 
@@ -454,9 +451,9 @@ Module({
   package: 'owner',
   description: 'Join group via invite link',
   usage: '.join <invite link>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!match) return message.send('❌ Provide WhatsApp group invite link\n\nExample:\n.join https://chat.whatsapp.com/xxxxx');
     const inviteCode = match.match(/chat.whatsapp.com\/([0-9A-Za-z]{20,24})/i)?.[1];
     if (!inviteCode) return message.send('❌ Invalid invite link format');
@@ -480,9 +477,9 @@ Module({
   package: 'owner',
   description: 'Leave all groups except specified',
   usage: '.leaveall <exception1,exception2>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const chats = await message.conn.groupFetchAllParticipating();
     const groups = Object.values(chats || {});
     if (groups.length === 0) return message.send('ℹ️ Bot is not in any groups');
@@ -518,9 +515,9 @@ Module({
   package: 'owner',
   aliases: ['grouplist'],
   description: 'List all group chats',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const chats = await message.conn.groupFetchAllParticipating();
     const groups = Object.values(chats || {});
     if (groups.length === 0) return message.send('ℹ️ Bot is not in any groups');
@@ -545,9 +542,9 @@ Module({
   package: 'owner',
   description: 'Save quoted message to private chat',
   usage: '.save <reply to message>',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!message.quoted) return message.send('❌ Reply to a message to save');
     const myJid = jidNormalizedUser(message.conn.user?.id || '');
 
@@ -577,9 +574,9 @@ Module({
   aliases: ['del'],
   description: "Delete bot's message",
   usage: '.delete <reply to bot message>',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!message.quoted) return message.send("❌ Reply to bot's message to delete it");
     if (!message.quoted.fromMe) return message.send("❌ Can only delete bot's own messages");
     await message.send({ delete: message.quoted.key });
@@ -596,9 +593,9 @@ Module({
   aliases: ['q'],
   description: 'Get quoted message info',
   usage: '.quoted <reply to message>',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!message.quoted) return message.send('❌ Reply to a message');
     const q = message.quoted;
     const sender = q.participant || q.participantAlt || q.sender || message.sender;
@@ -623,9 +620,9 @@ Module({
   package: 'owner',
   description: 'Get JID of user or group',
   usage: '.jid <reply|tag>',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const jid =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -646,9 +643,9 @@ Module({
   package: 'owner',
   description: 'Get profile picture of a user (reply/tag/number)',
   usage: '.getpp <reply|tag|number>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const target =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -677,9 +674,9 @@ Module({
   package: 'owner',
   description: 'Get basic info about a user',
   usage: '.whois <reply|tag|number>',
+  owner: true,
 })(async (message, match) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     const target =
       message.quoted?.participant ||
       message.quoted?.participantAlt ||
@@ -720,9 +717,9 @@ Module({
   aliases: ['delete'],
   description: 'Delete a quoted message (bot owner)',
   usage: '.del (reply to message)',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!message.quoted) return message.send('❌ Reply to a message to delete');
     try {
       await message.send({ delete: message.quoted.key });
@@ -751,9 +748,9 @@ Module({
   package: 'owner',
   description: 'Delete your quoted message (owner tries to remove the quoted message)',
   usage: '.delme (reply to your message)',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     if (!message.quoted) return message.send('❌ Reply to your message');
     try {
       await message.send({ delete: message.quoted.key });
@@ -775,9 +772,9 @@ Module({
   package: 'owner',
   description: 'Attempt to clear chats/messages (best-effort). Use carefully.',
   usage: '.clearall',
+  owner: true,
 })(async (message) => {
   try {
-    if (!message.isfromMe) return message.send(theme.isfromMe);
     await message.react('⏳');
     const conn = message.conn;
     // Option A: clearChat per conn API